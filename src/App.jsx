@@ -2,10 +2,15 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { CartProvider } from './utils/CartContext';
 import { AuthProvider } from './utils/AuthContext';
+import { isOutboxEnabled } from './utils/emailTransport';
+import { isSmsOutboxEnabled } from './utils/smsTransport';
+import { isLocalAnalyticsEnabled } from './utils/searchAnalytics';
 
 // Components
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
+import ProtectedRoute from './components/ProtectedRoute';
+import SessionWarning from './components/SessionWarning';
 
 // Pages
 import Home from './pages/Home';
@@ -15,6 +20,18 @@ import Cart from './pages/Cart';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Verify from './pages/Verify';
+import Checkout from './pages/Checkout';
+import OrderConfirmation from './pages/OrderConfirmation';
+import Orders from './pages/Orders';
+import OrderDetail from './pages/OrderDetail';
+import Profile from './pages/Profile';
+import Search from './pages/Search';
+import Category from './pages/Category';
+import Brand from './pages/Brand';
+import Brands from './pages/Brands';
+import DevOutbox from './pages/DevOutbox';
+import SearchReport from './pages/SearchReport';
+import QueryBenchmark from './pages/QueryBenchmark';
 
 function App() {
   return (
@@ -50,14 +67,27 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/products" element={<Products />} />
                 <Route path="/product/:id" element={<ProductDetail />} />
+                <Route path="/search" element={<Search />} />
+                <Route path="/category/:slug" element={<Category />} />
+                <Route path="/brands" element={<Brands />} />
+                <Route path="/brand/:slug" element={<Brand />} />
                 <Route path="/cart" element={<Cart />} />
+                <Route path="/checkout" element={<ProtectedRoute><Checkout /></ProtectedRoute>} />
+                <Route path="/checkout/confirmation" element={<ProtectedRoute><OrderConfirmation /></ProtectedRoute>} />
+                <Route path="/orders" element={<ProtectedRoute><Orders /></ProtectedRoute>} />
+                <Route path="/orders/:orderId" element={<ProtectedRoute><OrderDetail /></ProtectedRoute>} />
+                <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
                 <Route path="/verify" element={<Verify />} />
+                {import.meta.env.DEV && (isOutboxEnabled() || isSmsOutboxEnabled()) && <Route path="/dev/outbox" element={<DevOutbox />} />}
+                {import.meta.env.DEV && isLocalAnalyticsEnabled() && <Route path="/dev/search-report" element={<SearchReport />} />}
+                {import.meta.env.DEV && <Route path="/dev/benchmark" element={<QueryBenchmark />} />}
               </Routes>
             </main>
             
             <Footer />
+            <SessionWarning />
           </div>
         </CartProvider>
       </AuthProvider>
@@ -0,0 +1,95 @@
+import { getDeliveryAreas } from '../utils/delivery';
+import { ADDRESS_LABELS } from '../utils/addressBook';
+
+// Recipient, area and street fields shared by checkout and the profile address book
+const AddressFields = ({ address, errors = {}, onChange, idPrefix = 'address', showLabel = false }) => {
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent ${errors[field] ? 'border-red-500' : 'border-gray-300'}`;
+
+  const renderError = (field) => errors[field] && (
+    <p className="mt-1 text-sm text-red-600">{errors[field]}</p>
+  );
+
+  return (
+    <>
+      {showLabel && (
+        <div className="mb-4">
+          <span className="block text-gray-700 mb-2">Save as</span>
+          <div className="flex gap-2">
+            {ADDRESS_LABELS.map(label => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => onChange('label', label)}
+                className={`px-4 py-1.5 rounded-full border-2 text-sm font-medium transition-colors duration-300 ${
+                  address.label === label ? 'border-neon-accent bg-neon-accent/10' : 'border-gray-200 hover:border-neon-accent'
+                }`}
+                aria-pressed={address.label === label}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor={`${idPrefix}-fullName`} className="block text-gray-700 mb-2">Full Name</label>
+          <input
+            type="text"
+            id={`${idPrefix}-fullName`}
+            value={address.fullName}
+            onChange={(e) => onChange('fullName', e.target.value)}
+            className={inputClass('fullName')}
+          />
+          {renderError('fullName')}
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-phone`} className="block text-gray-700 mb-2">Mobile Number</label>
+          <input
+            type="tel"
+            id={`${idPrefix}-phone`}
+            value={address.phone}
+            onChange={(e) => onChange('phone', e.target.value)}
+            placeholder="e.g., 03001234567"
+            className={inputClass('phone')}
+          />
+          {renderError('phone')}
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor={`${idPrefix}-area`} className="block text-gray-700 mb-2">Delivery Area</label>
+        <select
+          id={`${idPrefix}-area`}
+          value={address.areaId}
+          onChange={(e) => onChange('areaId', e.target.value)}
+          className={`${inputClass('areaId')} bg-white`}
+        >
+          <option value="">Select your area</option>
+          {getDeliveryAreas().map(area => (
+            <option key={area.id} value={area.id}>
+              {area.name}{area.surcharge > 0 ? ` (+PKR ${area.surcharge})` : ''}
+            </option>
+          ))}
+        </select>
+        {renderError('areaId')}
+      </div>
+
+      <div>
+        <label htmlFor={`${idPrefix}-line`} className="block text-gray-700 mb-2">Street Address</label>
+        <textarea
+          id={`${idPrefix}-line`}
+          value={address.line}
+          onChange={(e) => onChange('line', e.target.value)}
+          placeholder="House number, street, block and any landmark"
+          rows="3"
+          className={inputClass('line')}
+        />
+        {renderError('line')}
+      </div>
+    </>
+  );
+};
+
+export default AddressFields;
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+
+// A brand's logo, or its initials on a plain tile when there is no logo or
+// it fails to load
+const BrandLogo = ({ brand, className = 'w-16 h-16' }) => {
+  const [failed, setFailed] = useState(false);
+
+  if (!brand.logo || failed) {
+    const initials = brand.name
+      .split(/\s+/)
+      .map(word => word[0])
+      .join('')
+      .slice(0, 2)
+      .toUpperCase();
+    return (
+      <div
+        className={`${className} flex-shrink-0 rounded-xl bg-gray-100 border border-gray-200 flex items-center justify-center text-2xl font-bold text-gray-500`}
+        aria-hidden="true"
+      >
+        {initials}
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={brand.logo}
+      alt={`${brand.name} logo`}
+      className={`${className} flex-shrink-0 rounded-xl object-contain bg-white border border-gray-100`}
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+export default BrandLogo;
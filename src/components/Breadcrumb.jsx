@@ -1,12 +1,24 @@
 import { Link } from 'react-router-dom';
+import { getCategoryPath, getCategoryUrl } from '../utils/categoryTree';
+
+// Pass `category` (a category slug) to start the trail with Home, Products
+// and that category's place in the category tree, followed by `items`
+const Breadcrumb = ({ items = [], category = null }) => {
+  const trail = category
+    ? [
+      { label: 'Home', path: '/' },
+      { label: 'Products', path: '/products' },
+      ...getCategoryPath(category).map(node => ({ label: node.name, path: getCategoryUrl(node.slug) })),
+      ...items
+    ]
+    : items;
 
-const Breadcrumb = ({ items }) => {
   return (
     <nav className="mb-8">
-      <ol className="flex text-gray-600 text-sm">
-        {items.map((item, index) => (
+      <ol className="flex flex-wrap text-gray-600 text-sm">
+        {trail.map((item, index) => (
           <li key={index}>
-            {index < items.length - 1 ? (
+            {index < trail.length - 1 ? (
               <>
                 {item.path ? (
                   <Link 
@@ -32,6 +32,11 @@ const Footer = () => {
                   Products
                 </Link>
               </li>
+              <li>
+                <Link to="/brands" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
+                  Brands
+                </Link>
+              </li>
               <li>
                 <Link to="/cart" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
                   Cart
@@ -50,22 +55,22 @@ const Footer = () => {
             <h3 className="text-xl font-semibold mb-6 text-neon-accent">Categories</h3>
             <ul className="space-y-2">
               <li>
-                <Link to="/products?category=Dairy" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
+                <Link to="/category/dairy" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
                   Dairy Products
                 </Link>
               </li>
               <li>
-                <Link to="/products?category=Beverages" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
+                <Link to="/category/beverages" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
                   Beverages
                 </Link>
               </li>
               <li>
-                <Link to="/products?category=Snacks" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
+                <Link to="/category/snacks-biscuits" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
                   Snacks & Biscuits
                 </Link>
               </li>
               <li>
-                <Link to="/products?category=Grains" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
+                <Link to="/category/grains-staples" className="text-gray-300 hover:text-neon-accent transition-all duration-300 hover:translate-x-1 inline-block">
                   Grains & Staples
                 </Link>
               </li>
@@ -0,0 +1,26 @@
+import { findMatches } from '../utils/searchEngine';
+
+// Render `text` with the words that match a search query highlighted,
+// including typo and synonym matches
+const Highlight = ({ text, query }) => {
+  const value = String(text ?? '');
+  const ranges = query ? findMatches(value, query) : [];
+  if (ranges.length === 0) return value;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(
+      <span key={start} className="bg-yellow-100 text-gray-800">
+        {value.slice(start, end)}
+      </span>
+    );
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push(value.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
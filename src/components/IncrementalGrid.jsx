@@ -0,0 +1,55 @@
+import { Fragment, useEffect, useRef, useState } from 'react';
+
+// Renders a long list a batch at a time: the next batch is added as the end
+// of the grid scrolls into view, with a "Show more" button for keyboards and
+// browsers without IntersectionObserver. Change `resetKey` (e.g. when the
+// filters change) to start again from the first batch.
+const IncrementalGrid = ({ items, getKey, renderItem, resetKey, batchSize = 24, className = '' }) => {
+  const [visibleCount, setVisibleCount] = useState(batchSize);
+  const sentinelRef = useRef(null);
+  const hasMore = visibleCount < items.length;
+
+  useEffect(() => {
+    setVisibleCount(batchSize);
+  }, [resetKey, batchSize]);
+
+  const showMore = () => setVisibleCount(count => Math.min(count + batchSize, items.length));
+
+  // A fresh observer per batch reports straight away if the end of the grid
+  // is still on screen, so tall screens fill up without scrolling
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!hasMore || !sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisibleCount(count => Math.min(count + batchSize, items.length));
+      }
+    }, { rootMargin: '600px 0px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, visibleCount, batchSize, items.length]);
+
+  return (
+    <>
+      <div className={className}>
+        {items.slice(0, visibleCount).map((item, index) => (
+          <Fragment key={getKey(item)}>{renderItem(item, index)}</Fragment>
+        ))}
+      </div>
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center mt-10">
+          <button
+            type="button"
+            onClick={showMore}
+            className="px-6 py-3 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+          >
+            Show more ({items.length - visibleCount} left)
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default IncrementalGrid;
@@ -1,19 +1,33 @@
 import { useState, useEffect } from 'react';
 import { AnimatePresence } from 'framer-motion';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useCart } from '../utils/CartContext';
 import { useAuth } from '../utils/AuthContext';
+import catalog from '../utils/catalog';
+import { getTrendingSearches, trackSearch, trackSearchClick } from '../utils/searchAnalytics';
+import { useRecentSearches } from '../utils/recentSearches';
+import { useListNavigation } from '../utils/listNavigation';
+import { normalizeText } from '../utils/searchEngine';
+import SearchShortcuts from './SearchShortcuts';
+import { withReturnTo } from '../utils/returnTo';
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [showSearchResults, setShowSearchResults] = useState(false);
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [trendingSearches, setTrendingSearches] = useState([]);
   const [isScrolled, setIsScrolled] = useState(false);
   const { getTotalItems } = useCart();
   const { isAuthenticated, user, logout } = useAuth();
   const location = useLocation();
+  const navigate = useNavigate();
+  const recentSearches = useRecentSearches(user?.email);
+  // Come back to the current page after logging in, except from the auth pages themselves
+  const isAuthPage = ['/login', '/register', '/verify'].includes(location.pathname);
+  const loginPath = isAuthPage ? '/login' : withReturnTo('/login', `${location.pathname}${location.search}`);
   
   // Close mobile menu when route changes
   useEffect(() => {
@@ -40,18 +54,10 @@ const Navbar = () => {
       }
       
       try {
-        // In a real app, this would be an API call
-        // Here we're importing the JSON directly
-        const products = await import('../data/products.json')
-          .then(module => module.default);
+        const matches = await catalog.search(searchQuery);
+        trackSearch({ source: 'navbar', query: searchQuery, resultCount: matches.length });
         
-        const filtered = products.filter(product => {
-          const nameMatch = product.name.toLowerCase().includes(searchQuery.toLowerCase());
-          const brandMatch = product.brand.toLowerCase().includes(searchQuery.toLowerCase());
-          return nameMatch || brandMatch;
-        }).slice(0, 5); // Limit to 5 results
-        
-        setSearchResults(filtered);
+        setSearchResults(matches.slice(0, 5));
         setShowSearchResults(true);
       } catch (error) {
         console.error('Error searching products:', error);
@@ -62,6 +68,89 @@ const Navbar = () => {
     return () => clearTimeout(debounceTimer);
   }, [searchQuery]);
   
+  // Enter (or "View All Results") opens the full results page for the query
+  const searchPath = `/search?q=${encodeURIComponent(searchQuery.trim())}`;
+  const openSearch = (query) => {
+    recentSearches.add(query);
+    setShowSearchResults(false);
+    setIsSearchFocused(false);
+    setIsOpen(false);
+    navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+  };
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim()) return;
+    openSearch(searchQuery);
+  };
+  
+  const handleResultClick = (product, index) => {
+    trackSearchClick({ source: 'navbar', product, position: index + 1 });
+    recentSearches.add(searchQuery);
+  };
+  
+  // The empty, focused box offers recent and trending searches instead of results
+  const showShortcuts = isSearchFocused && !searchQuery.trim();
+  const shortcutQueries = [
+    ...recentSearches.searches,
+    ...trendingSearches.filter(query =>
+      !recentSearches.searches.some(recent => normalizeText(recent) === normalizeText(query))
+    )
+  ];
+  const trendingShown = shortcutQueries.slice(recentSearches.searches.length);
+  const isDropdownOpen = showShortcuts ? shortcutQueries.length > 0 : showSearchResults && searchResults.length > 0;
+  
+  const { activeIndex, setActiveIndex, handleKeyDown } = useListNavigation({
+    itemCount: showShortcuts ? shortcutQueries.length : searchResults.length,
+    isOpen: isDropdownOpen,
+    onSelect: (index) => {
+      if (showShortcuts) {
+        openSearch(shortcutQueries[index]);
+        return;
+      }
+      const product = searchResults[index];
+      handleResultClick(product, index);
+      setShowSearchResults(false);
+      navigate(`/product/${product.id}`);
+    },
+    onClose: () => {
+      setShowSearchResults(false);
+      setIsSearchFocused(false);
+    }
+  });
+  
+  const handleSearchFocus = () => {
+    setIsSearchFocused(true);
+    setTrendingSearches(getTrendingSearches());
+    if (searchResults.length > 0) setShowSearchResults(true);
+  };
+  
+  const handleSearchBlur = () => {
+    setTimeout(() => {
+      setShowSearchResults(false);
+      setIsSearchFocused(false);
+      setActiveIndex(-1);
+    }, 200);
+  };
+  
+  const handleSearchChange = (e) => {
+    setSearchQuery(e.target.value);
+    setIsSearchFocused(true);
+    setActiveIndex(-1);
+  };
+  
+  const renderShortcuts = (idPrefix) => (
+    <SearchShortcuts
+      recent={recentSearches.searches}
+      trending={trendingShown}
+      activeIndex={activeIndex}
+      idPrefix={idPrefix}
+      onSelect={(query) => openSearch(query)}
+      onRemove={recentSearches.remove}
+      onClear={recentSearches.clear}
+      onHover={setActiveIndex}
+    />
+  );
+  
   return (
     <nav className={`text-white shadow-md sticky top-0 z-50 transition-all duration-300 ${
       isScrolled ? 'bg-black/95 backdrop-blur-md' : 'bg-black'
@@ -105,19 +194,33 @@ const Navbar = () => {
             </Link>
             
             {/* Search Bar */}
-            <div className="relative">
+            <form className="relative" onSubmit={handleSearchSubmit} role="search">
               <input
-                type="text"
+                type="search"
                 placeholder="Search products..."
                 className="bg-gray-800/80 backdrop-blur-sm text-white px-4 py-2 rounded-full w-64 focus:outline-none focus:ring-2 focus:ring-neon-accent focus:bg-gray-800 transition-all duration-300"
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                onFocus={() => searchResults.length > 0 && setShowSearchResults(true)}
-                onBlur={() => setTimeout(() => setShowSearchResults(false), 200)}
+                onChange={handleSearchChange}
+                onFocus={handleSearchFocus}
+                onBlur={handleSearchBlur}
+                onKeyDown={handleKeyDown}
+                aria-label="Search products"
               />
               
+              {/* Recent and Trending Searches (mousedown is cancelled so the box keeps focus while entries are removed) */}
+              {showShortcuts && shortcutQueries.length > 0 && (
+                <motion.div 
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="absolute left-0 right-0 mt-2 bg-white rounded-xl shadow-neon overflow-hidden z-50 border border-gray-200"
+                  onMouseDown={(e) => e.preventDefault()}
+                >
+                  {renderShortcuts('navbar-shortcut')}
+                </motion.div>
+              )}
+              
               {/* Search Results Dropdown */}
-              {showSearchResults && searchResults.length > 0 && (
+              {!showShortcuts && showSearchResults && searchResults.length > 0 && (
                 <motion.div 
                   initial={{ opacity: 0, y: -10 }}
                   animate={{ opacity: 1, y: 0 }}
@@ -127,11 +230,13 @@ const Navbar = () => {
                   <div className="p-2 bg-gradient-to-r from-gray-50 to-white border-b border-gray-100">
                     <p className="text-sm font-medium text-gray-500">Search Results</p>
                   </div>
-                  {searchResults.map(product => (
+                  {searchResults.map((product, index) => (
                     <Link 
                       key={product.id}
                       to={`/product/${product.id}`}
-                      className="block px-4 py-3 hover:bg-gray-50 transition-all duration-200 border-b border-gray-100 last:border-b-0"
+                      className={`block px-4 py-3 transition-all duration-200 border-b border-gray-100 last:border-b-0 ${activeIndex === index ? 'bg-gray-50' : 'hover:bg-gray-50'}`}
+                      onClick={() => handleResultClick(product, index)}
+                      onMouseEnter={() => setActiveIndex(index)}
                     >
                       <div className="flex items-center">
                         <div className="w-12 h-12 bg-gray-100 rounded-lg overflow-hidden mr-3 border border-gray-200 shadow-sm hover:shadow transition-all duration-200">
@@ -153,13 +258,13 @@ const Navbar = () => {
                     </Link>
                   ))}
                   <div className="p-2 bg-gradient-to-r from-gray-50 to-white border-t border-gray-100 text-center">
-                    <Link to="/products" className="text-sm font-medium text-neon-accent hover:text-neon-accent-dark transition-colors duration-200">
-                      View All Products
+                    <Link to={searchPath} className="text-sm font-medium text-neon-accent hover:text-neon-accent-dark transition-colors duration-200">
+                      View All Results
                     </Link>
                   </div>
                 </motion.div>
               )}
-            </div>
+            </form>
             
             {/* Auth Links */}
             {isAuthenticated ? (
@@ -211,7 +316,7 @@ const Navbar = () => {
               </div>
             ) : (
               <Link 
-                to="/login" 
+                to={loginPath}
                 className="bg-neon-accent text-black px-4 py-2 rounded-full font-medium hover:bg-white transition-all duration-300 transform hover:scale-105"
               >
                 Login
@@ -282,16 +387,32 @@ const Navbar = () => {
               </Link>
               
               {/* Mobile Search */}
-              <input
-                type="text"
-                placeholder="Search products..."
-                className="bg-gray-800/80 backdrop-blur-sm text-white px-4 py-2 rounded-full w-full focus:outline-none focus:ring-2 focus:ring-neon-accent focus:bg-gray-800 transition-all duration-300"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-              />
+              <form onSubmit={handleSearchSubmit} role="search">
+                <input
+                  type="search"
+                  placeholder="Search products..."
+                  className="bg-gray-800/80 backdrop-blur-sm text-white px-4 py-2 rounded-full w-full focus:outline-none focus:ring-2 focus:ring-neon-accent focus:bg-gray-800 transition-all duration-300"
+                  value={searchQuery}
+                  onChange={handleSearchChange}
+                  onFocus={handleSearchFocus}
+                  onBlur={handleSearchBlur}
+                  onKeyDown={handleKeyDown}
+                  aria-label="Search products"
+                />
+              </form>
+              
+              {/* Mobile Recent and Trending Searches */}
+              {showShortcuts && shortcutQueries.length > 0 && (
+                <div
+                  className="bg-white rounded-xl shadow-neon overflow-hidden border border-gray-200 mt-2 mb-4"
+                  onMouseDown={(e) => e.preventDefault()}
+                >
+                  {renderShortcuts('navbar-mobile-shortcut')}
+                </div>
+              )}
               
               {/* Mobile Search Results */}
-              {showSearchResults && searchResults.length > 0 && (
+              {!showShortcuts && showSearchResults && searchResults.length > 0 && (
                 <motion.div 
                   initial={{ opacity: 0, y: -10 }}
                   animate={{ opacity: 1, y: 0 }}
@@ -301,12 +422,15 @@ const Navbar = () => {
                   <div className="p-2 bg-gradient-to-r from-gray-50 to-white border-b border-gray-100">
                     <p className="text-sm font-medium text-gray-500">Search Results</p>
                   </div>
-                  {searchResults.map(product => (
+                  {searchResults.map((product, index) => (
                     <Link 
                       key={product.id}
                       to={`/product/${product.id}`}
                       className="block px-4 py-3 hover:bg-gray-50 transition-all duration-200 border-b border-gray-100 last:border-b-0"
-                      onClick={() => setIsOpen(false)}
+                      onClick={() => {
+                        handleResultClick(product, index);
+                        setIsOpen(false);
+                      }}
                     >
                       <div className="flex items-center">
                         <div className="w-12 h-12 bg-gray-100 rounded-lg overflow-hidden mr-3 border border-gray-200 shadow-sm hover:shadow transition-all duration-200">
@@ -329,11 +453,11 @@ const Navbar = () => {
                   ))}
                   <div className="p-2 bg-gradient-to-r from-gray-50 to-white border-t border-gray-100 text-center">
                     <Link 
-                      to="/products" 
+                      to={searchPath} 
                       className="text-sm font-medium text-neon-accent hover:text-neon-accent-dark transition-colors duration-200"
                       onClick={() => setIsOpen(false)}
                     >
-                      View All Products
+                      View All Results
                     </Link>
                   </div>
                 </motion.div>
@@ -357,7 +481,7 @@ const Navbar = () => {
                 </>
               ) : (
                 <Link 
-                  to="/login" 
+                  to={loginPath}
                   className="bg-neon-accent text-black px-4 py-2 rounded-full font-medium hover:bg-white transition-all duration-300 text-center"
                 >
                   Login
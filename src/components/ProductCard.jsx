@@ -1,14 +1,32 @@
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useCart } from '../utils/CartContext';
+import { getStock, isOutOfStock, isProductAvailable } from '../utils/inventory';
+import { getPricing } from '../utils/pricing';
+import { getDeliveryConfig } from '../utils/delivery';
+import { formatUnitPrice, getUnitPrice } from '../utils/unitPrice';
+import StockBadge from './StockBadge';
+import Highlight from './Highlight';
 // The 'toast' import has been removed as it was not used
 
-const ProductCard = ({ product }) => {
+// Pass `highlight` (a search query) to mark the matching words in the name and
+// brand, and `onSelect` to hear about clicks through to the product page
+const ProductCard = ({ product, highlight = '', onSelect }) => {
   const { addToCart } = useCart();
+  // The product is sold out only when every size is. Quick add uses the
+  // default size; when just that one is gone, send people to pick another.
+  const outOfStock = !isProductAvailable(product);
+  const defaultStock = getStock(product);
+  const canQuickAdd = !isOutOfStock(defaultStock);
+  const badgeStock = outOfStock ? 0 : canQuickAdd ? defaultStock : null;
+  const pricing = getPricing(product);
+  const unitPrice = getUnitPrice(product);
+  const { freeDeliveryThreshold } = getDeliveryConfig();
   
   const handleAddToCart = (e) => {
     e.preventDefault();
     e.stopPropagation();
+    if (!canQuickAdd) return;
     addToCart(product);
   };
   
@@ -23,7 +41,7 @@ const ProductCard = ({ product }) => {
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.3 }}
     >
-      <Link to={`/product/${product.id}`} className="block">
+      <Link to={`/product/${product.id}`} className="block" onClick={onSelect}>
         <div className="relative h-40 sm:h-44 md:h-48 overflow-hidden bg-gray-50">
           <img 
             src={product.image} 
@@ -36,43 +54,79 @@ const ProductCard = ({ product }) => {
           />
           <div className="absolute inset-0 bg-gradient-to-t from-black/20 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300" />
           
+          <div className="absolute top-2 left-2 sm:top-3 sm:left-3 flex flex-col items-start gap-1">
+            {pricing.onSale && (
+              <span className="inline-block px-2.5 py-1 rounded-full text-xs font-semibold shadow-sm bg-neon-accent text-black">
+                -{pricing.discountPercent}%
+              </span>
+            )}
+            <StockBadge stock={badgeStock} />
+          </div>
+          
           {/* Quick Add Button */}
-          <motion.button
-            onClick={handleAddToCart}
-            className="absolute top-2 right-2 sm:top-3 sm:right-3 bg-white/90 backdrop-blur-sm text-gray-800 p-1.5 sm:p-2 rounded-full shadow-lg opacity-0 group-hover:opacity-100 transition-all duration-300 hover:bg-neon-accent hover:text-black"
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
-          >
-            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-          </motion.button>
+          {canQuickAdd && (
+            <motion.button
+              onClick={handleAddToCart}
+              className="absolute top-2 right-2 sm:top-3 sm:right-3 bg-white/90 backdrop-blur-sm text-gray-800 p-1.5 sm:p-2 rounded-full shadow-lg opacity-0 group-hover:opacity-100 transition-all duration-300 hover:bg-neon-accent hover:text-black"
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+            >
+              <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+            </motion.button>
+          )}
         </div>
       </Link>
       
       <div className="p-3 sm:p-4 md:p-5 flex flex-col h-[calc(100%-10rem)]">
-        <Link to={`/product/${product.id}`} className="block flex-grow">
+        <Link to={`/product/${product.id}`} className="block flex-grow" onClick={onSelect}>
           <h3 className="text-base sm:text-lg font-semibold text-gray-800 mb-1 hover:text-neon-accent transition-colors duration-300 line-clamp-2">
-            {product.name}
+            <Highlight text={product.name} query={highlight} />
           </h3>
         </Link>
         
-        <p className="text-xs sm:text-sm text-gray-500 mb-2 sm:mb-3 font-medium">{product.brand}</p>
+        <p className="text-xs sm:text-sm text-gray-500 mb-2 sm:mb-3 font-medium"><Highlight text={product.brand} query={highlight} /></p>
         
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mt-auto space-y-2 sm:space-y-0">
           <div className="flex flex-col">
-            <span className="text-lg sm:text-xl font-bold text-gray-900">PKR {product.price.toLocaleString()}</span>
-            <span className="text-xs text-gray-500">Free delivery</span>
+            <div className="flex items-baseline gap-2">
+              <span className="text-lg sm:text-xl font-bold text-gray-900">PKR {pricing.price.toLocaleString()}</span>
+              {pricing.onSale && (
+                <span className="text-xs sm:text-sm text-gray-400 line-through">PKR {pricing.originalPrice.toLocaleString()}</span>
+              )}
+            </div>
+            {unitPrice && (
+              <span className="text-xs text-gray-600 font-medium">{formatUnitPrice(unitPrice)}</span>
+            )}
+            {typeof freeDeliveryThreshold === 'number' && (
+              <span className="text-xs text-gray-500">Free delivery over PKR {freeDeliveryThreshold.toLocaleString()}</span>
+            )}
           </div>
           
-          <motion.button
-            onClick={handleAddToCart}
-            className="bg-gradient-to-r from-gray-900 to-black text-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-full text-xs sm:text-sm font-medium hover:from-neon-accent hover:to-neon-accent hover:text-black transition-all duration-300 shadow-md hover:shadow-lg w-full sm:w-auto"
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-          >
-            Add to Cart
-          </motion.button>
+          {!outOfStock && !canQuickAdd ? (
+            <Link
+              to={`/product/${product.id}`}
+              onClick={onSelect}
+              className="px-3 sm:px-4 py-1.5 sm:py-2 rounded-full text-xs sm:text-sm font-medium transition-all duration-300 shadow-md w-full sm:w-auto text-center bg-gradient-to-r from-gray-900 to-black text-white hover:from-neon-accent hover:to-neon-accent hover:text-black hover:shadow-lg"
+            >
+              Choose Size
+            </Link>
+          ) : (
+            <motion.button
+              onClick={handleAddToCart}
+              disabled={outOfStock}
+              className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-full text-xs sm:text-sm font-medium transition-all duration-300 shadow-md w-full sm:w-auto ${
+                outOfStock
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-gradient-to-r from-gray-900 to-black text-white hover:from-neon-accent hover:to-neon-accent hover:text-black hover:shadow-lg'
+              }`}
+              whileHover={outOfStock ? {} : { scale: 1.05 }}
+              whileTap={outOfStock ? {} : { scale: 0.95 }}
+            >
+              {outOfStock ? 'Out of Stock' : 'Add to Cart'}
+            </motion.button>
+          )}
         </div>
       </div>
     </motion.div>
@@ -0,0 +1,28 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../utils/AuthContext';
+import { withReturnTo } from '../utils/returnTo';
+
+// Renders its children only for logged-in users. Everyone else goes to /login
+// and comes back to this page once they've verified.
+const ProtectedRoute = ({ children }) => {
+  const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
+
+  // Wait for the saved session before deciding
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!isAuthenticated) {
+    const returnPath = `${location.pathname}${location.search}${location.hash}`;
+    return <Navigate to={withReturnTo('/login', returnPath)} replace />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
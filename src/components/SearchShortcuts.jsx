@@ -0,0 +1,88 @@
+// Recent and trending searches for an empty, focused search box. Items are
+// numbered recent first, then trending, to line up with useListNavigation.
+const SearchShortcuts = ({
+  recent,
+  trending,
+  activeIndex = -1,
+  idPrefix = 'search-shortcut',
+  onSelect,
+  onRemove,
+  onClear,
+  onHover
+}) => {
+  if (recent.length === 0 && trending.length === 0) return null;
+
+  const renderItem = (query, index, removable) => (
+    <li
+      key={`${removable ? 'recent' : 'trending'}-${query}`}
+      id={`${idPrefix}-${index}`}
+      role="option"
+      aria-selected={activeIndex === index}
+      className={`flex items-center px-4 py-2.5 cursor-pointer text-gray-800 transition-colors duration-200 ${
+        activeIndex === index ? 'bg-gray-100' : 'hover:bg-gray-50'
+      }`}
+      onClick={() => onSelect(query)}
+      onMouseEnter={() => onHover?.(index)}
+    >
+      <span aria-hidden="true" className="mr-3 text-gray-400">
+        {removable ? (
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+          </svg>
+        ) : (
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path>
+          </svg>
+        )}
+      </span>
+      <span className="flex-1 truncate">{query}</span>
+      {removable && (
+        <button
+          type="button"
+          className="ml-2 text-gray-400 hover:text-black"
+          aria-label={`Remove ${query} from recent searches`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(query);
+          }}
+        >
+          ×
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="text-black">
+      {recent.length > 0 && (
+        <>
+          <div className="flex items-center justify-between p-2 px-4 bg-gray-50 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-500">Recent Searches</p>
+            <button
+              type="button"
+              onClick={onClear}
+              className="text-xs font-medium text-neon-accent-dark hover:underline"
+            >
+              Clear
+            </button>
+          </div>
+          <ul role="listbox" aria-label="Recent searches">
+            {recent.map((query, index) => renderItem(query, index, true))}
+          </ul>
+        </>
+      )}
+      {trending.length > 0 && (
+        <>
+          <div className="p-2 px-4 bg-gray-50 border-y border-gray-100">
+            <p className="text-sm font-medium text-gray-500">Trending</p>
+          </div>
+          <ul role="listbox" aria-label="Trending searches">
+            {trending.map((query, index) => renderItem(query, recent.length + index, false))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchShortcuts;
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../utils/AuthContext';
+
+// Format milliseconds as M:SS
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Shown shortly before the login session ends, with a chance to stay signed in
+const SessionWarning = () => {
+  const { sessionWarning, extendSession, logout } = useAuth();
+  const [now, setNow] = useState(Date.now());
+
+  // Tick the countdown while the warning is up
+  useEffect(() => {
+    if (!sessionWarning) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [sessionWarning]);
+
+  return (
+    <AnimatePresence>
+      {sessionWarning && (
+        <motion.div
+          role="alertdialog"
+          aria-live="assertive"
+          aria-labelledby="session-warning-title"
+          className="fixed bottom-4 left-4 right-4 sm:left-auto sm:w-96 z-50 bg-white rounded-lg shadow-xl border border-gray-200 p-5"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <h2 id="session-warning-title" className="font-semibold text-lg mb-1">
+            Your session is about to end
+          </h2>
+          <p className="text-gray-600 mb-4">
+            {sessionWarning.reason === 'idle' && 'You\'ve been inactive for a while. '}
+            You'll be logged out in <span className="font-mono font-semibold text-black">{formatCountdown(sessionWarning.expiresAt - now)}</span>.
+          </p>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={extendSession}
+              className="flex-1 bg-black text-white px-4 py-2 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+            >
+              Stay Signed In
+            </button>
+            <button
+              type="button"
+              onClick={logout}
+              className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+            >
+              Log Out
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SessionWarning;
@@ -0,0 +1,20 @@
+import { getStockBadge } from '../utils/inventory';
+
+const toneClasses = {
+  out: 'bg-red-500 text-white',
+  low: 'bg-amber-400 text-black'
+};
+
+const StockBadge = ({ stock, className = '' }) => {
+  const badge = getStockBadge(stock);
+
+  if (!badge) return null;
+
+  return (
+    <span className={`inline-block px-2.5 py-1 rounded-full text-xs font-semibold shadow-sm ${toneClasses[badge.tone]} ${className}`}>
+      {badge.label}
+    </span>
+  );
+};
+
+export default StockBadge;
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, useMotionValue, useTransform, useAnimation, AnimatePresence } from 'framer-motion';
 import { Link } from 'react-router-dom';
+import { getPricing } from '../utils/pricing';
 
 const SwipeableCardStack = ({ products, maxCards = 5 }) => {
   // State to manage the stack of cards
@@ -275,7 +276,7 @@ const SwipeableCardStack = ({ products, maxCards = 5 }) => {
                         }}
                       />
                       <div className="absolute top-3 right-3 bg-white/90 px-2 py-1 rounded-full text-sm font-semibold text-neon-accent">
-                        PKR {product.price.toLocaleString()}
+                        PKR {getPricing(product).price.toLocaleString()}
                       </div>
                     </div>
                     
@@ -0,0 +1,29 @@
+import { Link, useParams } from 'react-router-dom';
+import Products from './Products';
+import { getBrand } from '../utils/brands';
+
+// One brand's products with the usual search, filters and sorting
+const Brand = () => {
+  const { slug } = useParams();
+  const brand = getBrand(slug);
+
+  if (!brand) {
+    return (
+      <div className="min-h-screen flex flex-col justify-center items-center">
+        <h2 className="text-2xl font-bold mb-4">Brand Not Found</h2>
+        <p className="mb-6">Sorry, the brand you're looking for doesn't exist.</p>
+        <Link
+          to="/brands"
+          className="bg-black text-white px-6 py-2 rounded-full hover:bg-neon-accent hover:text-black transition-colors duration-300"
+        >
+          All Brands
+        </Link>
+      </div>
+    );
+  }
+
+  // A new brand starts with fresh search state
+  return <Products key={brand.slug} brand={brand} />;
+};
+
+export default Brand;
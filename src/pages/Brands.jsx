@@ -0,0 +1,56 @@
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import BrandLogo from '../components/BrandLogo';
+import { useCatalog } from '../utils/catalog';
+import { getAllBrands, getBrandUrl } from '../utils/brands';
+
+// Every brand we stock, A to Z, with how many of its products we carry
+const Brands = () => {
+  const brands = getAllBrands();
+  const { data: products, loading } = useCatalog(c => c.getAll(), [], []);
+
+  const counts = products.reduce((totals, product) => {
+    totals[product.brand] = (totals[product.brand] || 0) + 1;
+    return totals;
+  }, {});
+  const countFor = (brand) => counts[brand.name] || 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="container mx-auto px-4 py-8">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Brands' }
+          ]}
+        />
+
+        <h1 className="text-4xl font-bold mb-8 text-center bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">Our Brands</h1>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {brands.map(brand => (
+            <motion.div key={brand.slug} whileHover={{ y: -5 }}>
+              <Link
+                to={getBrandUrl(brand.slug)}
+                className="flex gap-4 h-full bg-white p-5 rounded-xl shadow-md border border-gray-100 hover:shadow-xl transition-shadow duration-300 group"
+              >
+                <BrandLogo brand={brand} />
+                <div className="flex-1 min-w-0">
+                  <h2 className="text-lg font-semibold group-hover:text-neon-accent-dark transition-colors duration-300">{brand.name}</h2>
+                  <p className="text-sm text-gray-500 mb-2">
+                    {brand.country}
+                    {!loading && ` · ${countFor(brand)} ${countFor(brand) === 1 ? 'product' : 'products'}`}
+                  </p>
+                  <p className="text-sm text-gray-700 line-clamp-2">{brand.description}</p>
+                </div>
+              </Link>
+            </motion.div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Brands;
@@ -1,121 +1,80 @@
 import { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useCart } from '../utils/CartContext';
 import { useAuth } from '../utils/AuthContext';
 import Breadcrumb from '../components/Breadcrumb';
+import StockBadge from '../components/StockBadge';
+import { isLineOverStock } from '../utils/inventory';
+import { getDeliveryConfig } from '../utils/delivery';
+import { getLineName } from '../utils/orderChannels';
+import { formatPrice } from '../utils/pricing';
+import { withReturnTo } from '../utils/returnTo';
 import toast from 'react-hot-toast';
 
 const Cart = () => {
-  const { cart, updateQuantity, removeFromCart, clearCart, totalPrice } = useCart();
+  const {
+    cart,
+    updateQuantity,
+    removeFromCart,
+    clearCart,
+    totalPrice,
+    totalSavings,
+    hasStockIssues,
+    promotion,
+    promoDiscount,
+    applyPromoCode,
+    removePromoCode,
+    getOrderSummary
+  } = useCart();
   const { user } = useAuth();
+  const navigate = useNavigate();
   
-  const [orderMethod, setOrderMethod] = useState('email');
-  const [phoneNumber, setPhoneNumber] = useState('');
-  const [address, setAddress] = useState('');
-  const [note, setNote] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
   
-  // Format price with commas
-  const formatPrice = (price) => {
-    return price.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-  };
-  
-  // Handle quantity change
-  const handleQuantityChange = (productId, newQuantity) => {
-    if (newQuantity > 0) {
-      updateQuantity(productId, newQuantity);
-    }
-  };
+  // Area surcharges are added at checkout once the address is known
+  const { delivery, total: orderTotal } = getOrderSummary();
   
-  // Place order via email
-  const handleEmailOrder = () => {
-    if (!user) {
-      toast.error('Please login to place an order');
-      return;
-    }
+  // Apply the entered promo code
+  const handleApplyPromo = async (e) => {
+    e.preventDefault();
+    if (!promoInput.trim()) return;
     
-    if (!address.trim()) {
-      toast.error('Please enter your delivery address');
-      return;
-    }
-    
-    const subject = 'New Order from WahabStore';
-    
-    let body = `New order from: ${user.email}\n\n`;
-    body += `Delivery Address: ${address}\n\n`;
-    body += 'Order Items:\n';
+    setIsApplyingPromo(true);
+    const applied = await applyPromoCode(promoInput);
+    setIsApplyingPromo(false);
     
-    cart.forEach(item => {
-      body += `- ${item.name} (${item.quantity} x PKR ${item.price}) = PKR ${item.quantity * item.price}\n`;
-    });
-    
-    body += `\nTotal Amount: PKR ${totalPrice}\n`;
-    
-    if (note) {
-      body += `\nCustomer Note: ${note}\n`;
+    if (applied) {
+      setPromoInput('');
     }
-    
-    const mailtoLink = `mailto:orders@wahabstore.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    window.location.href = mailtoLink;
-    
-    toast.success('Redirecting to email client...');
   };
   
-  // Place order via WhatsApp
-  const handleWhatsAppOrder = () => {
-    if (!user) {
-      toast.error('Please login to place an order');
-      return;
+  // Handle quantity change
+  const handleQuantityChange = (lineId, newQuantity) => {
+    if (newQuantity > 0) {
+      updateQuantity(lineId, newQuantity);
     }
-    
-    if (!phoneNumber.trim()) {
-      toast.error('Please enter your phone number');
+  };
+  
+  // Continue to the checkout steps
+  const handleCheckout = () => {
+    if (cart.length === 0) {
+      toast.error('Your cart is empty');
       return;
     }
     
-    if (!address.trim()) {
-      toast.error('Please enter your delivery address');
+    if (hasStockIssues) {
+      toast.error('Some items exceed available stock. Please update your cart.');
       return;
     }
     
-    let message = `*New Order from WahabStore*\n\n`;
-    message += `*Customer:* ${user.email}\n`;
-    message += `*Phone:* ${phoneNumber}\n`;
-    message += `*Delivery Address:* ${address}\n\n`;
-    message += '*Order Items:*\n';
-    
-    cart.forEach(item => {
-      message += `- ${item.name} (${item.quantity} x PKR ${item.price}) = PKR ${item.quantity * item.price}\n`;
-    });
-    
-    message += `\n*Total Amount:* PKR ${totalPrice}\n`;
-    
-    if (note) {
-      message += `\n*Customer Note:* ${note}\n`;
-    }
-    
-    // Replace with your actual WhatsApp business number
-    const whatsappNumber = '923001234567';
-    const whatsappLink = `https://wa.me/${whatsappNumber}?text=${encodeURIComponent(message)}`;
-    
-    window.open(whatsappLink, '_blank');
-    
-    toast.success('Redirecting to WhatsApp...');
-  };
-  
-  // Handle order submission
-  const handleSubmitOrder = () => {
-    if (cart.length === 0) {
-      toast.error('Your cart is empty');
+    if (!delivery.meetsMinimum) {
+      toast.error(`Add PKR ${formatPrice(delivery.amountToMinimum)} more to reach the minimum order`);
       return;
     }
     
-    if (orderMethod === 'email') {
-      handleEmailOrder();
-    } else {
-      handleWhatsAppOrder();
-    }
+    navigate('/checkout');
   };
   
   return (
@@ -144,7 +103,7 @@ const Cart = () => {
                   <AnimatePresence>
                     {cart.map(item => (
                       <motion.li 
-                        key={item.id}
+                        key={item.lineId}
                         className="p-4 flex flex-col sm:flex-row sm:items-center"
                         initial={{ opacity: 0, height: 0 }}
                         animate={{ opacity: 1, height: 'auto' }}
@@ -165,19 +124,35 @@ const Cart = () => {
                         
                         <div className="flex-1 sm:mr-4">
                           <Link 
-                            to={`/product/${item.id}`}
+                            to={item.variantId ? `/product/${item.id}?variant=${item.variantId}` : `/product/${item.id}`}
                             className="text-lg font-medium text-gray-800 hover:text-neon-accent transition-colors duration-300"
                           >
                             {item.name}
                           </Link>
-                          <p className="text-sm text-gray-600">{item.brand}</p>
-                          <p className="text-neon-accent font-medium">PKR {formatPrice(item.price)}</p>
+                          <p className="text-sm text-gray-600">
+                            {item.brand}{item.variantLabel && ` · ${item.variantLabel}`}
+                          </p>
+                          <p className="text-neon-accent font-medium">
+                            PKR {formatPrice(item.price)}
+                            {item.originalPrice && (
+                              <span className="ml-2 text-sm text-gray-400 line-through">PKR {formatPrice(item.originalPrice)}</span>
+                            )}
+                          </p>
+                          {isLineOverStock(item) ? (
+                            <p className="text-sm text-red-600 font-medium mt-1">
+                              {item.stock > 0
+                                ? `Only ${item.stock} left. Please reduce the quantity.`
+                                : 'Out of stock. Please remove this item.'}
+                            </p>
+                          ) : (
+                            <StockBadge stock={item.stock ?? null} className="mt-1" />
+                          )}
                         </div>
                         
                         <div className="flex items-center mt-4 sm:mt-0">
                           <div className="flex items-center mr-4">
                             <button 
-                              onClick={() => handleQuantityChange(item.id, item.quantity - 1)}
+                              onClick={() => handleQuantityChange(item.lineId, item.quantity - 1)}
                               className="bg-gray-200 text-gray-700 px-2 py-1 rounded-l-md hover:bg-gray-300 transition-colors duration-300"
                             >
                               -
@@ -185,20 +160,21 @@ const Cart = () => {
                             <input 
                               type="number" 
                               value={item.quantity} 
-                              onChange={(e) => handleQuantityChange(item.id, parseInt(e.target.value))}
+                              onChange={(e) => handleQuantityChange(item.lineId, parseInt(e.target.value))}
                               min="1"
                               className="w-12 text-center border-t border-b border-gray-300 py-1"
                             />
                             <button 
-                              onClick={() => handleQuantityChange(item.id, item.quantity + 1)}
-                              className="bg-gray-200 text-gray-700 px-2 py-1 rounded-r-md hover:bg-gray-300 transition-colors duration-300"
+                              onClick={() => handleQuantityChange(item.lineId, item.quantity + 1)}
+                              disabled={typeof item.stock === 'number' && item.quantity >= item.stock}
+                              className="bg-gray-200 text-gray-700 px-2 py-1 rounded-r-md hover:bg-gray-300 transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
                             >
                               +
                             </button>
                           </div>
                           
                           <button 
-                            onClick={() => removeFromCart(item.id)}
+                            onClick={() => removeFromCart(item.lineId)}
                             className="text-red-500 hover:text-red-700 transition-colors duration-300"
                           >
                             Remove
@@ -230,97 +206,111 @@ const Cart = () => {
                 <div className="p-4">
                   <div className="space-y-3 mb-6">
                     {cart.map(item => (
-                      <div key={item.id} className="flex justify-between text-gray-600">
-                        <span>{item.name} x {item.quantity}</span>
+                      <div key={item.lineId} className="flex justify-between text-gray-600">
+                        <span>{getLineName(item)} x {item.quantity}</span>
                         <span>PKR {formatPrice(item.price * item.quantity)}</span>
                       </div>
                     ))}
                   </div>
                   
-                  <div className="border-t pt-3 mb-6">
-                    <div className="flex justify-between font-bold text-lg">
-                      <span>Total</span>
-                      <span className="text-neon-accent">PKR {formatPrice(totalPrice)}</span>
-                    </div>
-                  </div>
-                  
-                  <div className="mb-4">
-                    <label className="block text-gray-700 mb-2">Order Method</label>
-                    <div className="flex space-x-4">
-                      <label className="flex items-center">
-                        <input 
-                          type="radio" 
-                          value="email" 
-                          checked={orderMethod === 'email'}
-                          onChange={() => setOrderMethod('email')}
-                          className="mr-2"
-                        />
-                        Email
-                      </label>
-                      <label className="flex items-center">
-                        <input 
-                          type="radio" 
-                          value="whatsapp" 
-                          checked={orderMethod === 'whatsapp'}
-                          onChange={() => setOrderMethod('whatsapp')}
-                          className="mr-2"
-                        />
-                        WhatsApp
-                      </label>
-                    </div>
-                  </div>
-                  
-                  {orderMethod === 'whatsapp' && (
-                    <div className="mb-4">
-                      <label htmlFor="phone" className="block text-gray-700 mb-2">Phone Number</label>
+                  <form onSubmit={handleApplyPromo} className="mb-4">
+                    <label htmlFor="promo" className="block text-gray-700 mb-2">Promo Code</label>
+                    <div className="flex">
                       <input 
-                        type="tel" 
-                        id="phone" 
-                        value={phoneNumber}
-                        onChange={(e) => setPhoneNumber(e.target.value)}
-                        placeholder="e.g., 03001234567"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
+                        type="text" 
+                        id="promo" 
+                        value={promoInput}
+                        onChange={(e) => setPromoInput(e.target.value)}
+                        placeholder="Enter promo code"
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-l-md uppercase focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
                       />
+                      <button 
+                        type="submit"
+                        disabled={isApplyingPromo || !promoInput.trim()}
+                        className="bg-black text-white px-4 py-2 rounded-r-md hover:bg-neon-accent hover:text-black transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isApplyingPromo ? 'Applying...' : 'Apply'}
+                      </button>
                     </div>
-                  )}
-                  
-                  <div className="mb-4">
-                    <label htmlFor="address" className="block text-gray-700 mb-2">Delivery Address</label>
-                    <textarea 
-                      id="address" 
-                      value={address}
-                      onChange={(e) => setAddress(e.target.value)}
-                      placeholder="Enter your full delivery address"
-                      rows="3"
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
-                    />
-                  </div>
+                    
+                    {promotion && (
+                      <div className={`mt-2 p-2 rounded-md text-sm flex justify-between items-start ${promotion.valid ? 'bg-green-50 text-green-700' : 'bg-yellow-50 text-yellow-800'}`}>
+                        <span>
+                          {promotion.valid
+                            ? <><span className="font-semibold">{promotion.code}</span> · {promotion.description}</>
+                            : promotion.error}
+                        </span>
+                        <button 
+                          type="button"
+                          onClick={removePromoCode}
+                          className="ml-2 text-red-500 hover:text-red-700 transition-colors duration-300"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    )}
+                  </form>
                   
-                  <div className="mb-6">
-                    <label htmlFor="note" className="block text-gray-700 mb-2">Order Note (Optional)</label>
-                    <textarea 
-                      id="note" 
-                      value={note}
-                      onChange={(e) => setNote(e.target.value)}
-                      placeholder="Any special instructions for your order"
-                      rows="2"
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
-                    />
+                  <div className="border-t pt-3 mb-6">
+                    <div className="flex justify-between text-gray-600 mb-2">
+                      <span>Subtotal</span>
+                      <span>PKR {formatPrice(totalPrice)}</span>
+                    </div>
+                    {totalSavings > 0 && (
+                      <div className="flex justify-between text-green-600 font-medium mb-2">
+                        <span>You save</span>
+                        <span>PKR {formatPrice(totalSavings)}</span>
+                      </div>
+                    )}
+                    {promoDiscount > 0 && (
+                      <div className="flex justify-between text-green-600 font-medium mb-2">
+                        <span>Promo ({promotion.code})</span>
+                        <span>-PKR {formatPrice(promoDiscount)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between text-gray-600 mb-2">
+                      <span>Delivery</span>
+                      <span className={delivery.isFree ? 'text-green-600 font-medium' : ''}>
+                        {delivery.isFree ? 'Free' : `PKR ${formatPrice(delivery.fee)}`}
+                      </span>
+                    </div>
+                    <div className="flex justify-between font-bold text-lg">
+                      <span>Total</span>
+                      <span className="text-neon-accent">PKR {formatPrice(orderTotal)}</span>
+                    </div>
+                    
+                    {!delivery.meetsMinimum ? (
+                      <p className="mt-3 p-2 bg-yellow-50 text-yellow-800 rounded-md text-sm">
+                        Minimum order is PKR {formatPrice(getDeliveryConfig().minimumOrder)}. Add PKR {formatPrice(delivery.amountToMinimum)} more to place your order.
+                      </p>
+                    ) : delivery.amountToFreeDelivery > 0 && (
+                      <p className="mt-3 p-2 bg-green-50 text-green-700 rounded-md text-sm">
+                        Add PKR {formatPrice(delivery.amountToFreeDelivery)} more for free delivery
+                      </p>
+                    )}
+                    {!delivery.isFree && (
+                      <p className="mt-2 text-xs text-gray-500">Some areas have an extra delivery charge, shown at checkout.</p>
+                    )}
                   </div>
                   
                   {!user ? (
                     <div className="mb-4 p-3 bg-yellow-50 text-yellow-800 rounded-md">
-                      <p>Please <Link to="/login" className="text-neon-accent font-medium">login</Link> to place an order.</p>
+                      <p>You'll be asked to <Link to={withReturnTo('/login', '/checkout')} className="text-neon-accent font-medium">login</Link> before checking out.</p>
                     </div>
                   ) : null}
                   
+                  {hasStockIssues && (
+                    <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md">
+                      <p>Some items exceed available stock. Update them to check out.</p>
+                    </div>
+                  )}
+                  
                   <motion.button
-                    onClick={handleSubmitOrder}
-                    className={`w-full py-3 rounded-full text-lg font-semibold ${user ? 'bg-black text-white hover:bg-neon-accent hover:text-black' : 'bg-gray-300 text-gray-500 cursor-not-allowed'} transition-colors duration-300`}
-                    whileTap={user ? { scale: 0.95 } : {}}
-                    disabled={!user}
+                    onClick={handleCheckout}
+                    className="w-full py-3 rounded-full text-lg font-semibold bg-black text-white hover:bg-neon-accent hover:text-black transition-colors duration-300"
+                    whileTap={{ scale: 0.95 }}
                   >
-                    Place Order
+                    {user ? 'Proceed to Checkout' : 'Login to Checkout'}
                   </motion.button>
                 </div>
               </div>
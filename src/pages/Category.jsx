@@ -0,0 +1,138 @@
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import ProductCard from '../components/ProductCard';
+import IncrementalGrid from '../components/IncrementalGrid';
+import { useCatalog } from '../utils/catalog';
+import {
+  getCategory,
+  getCategoryChildren,
+  getCategoryPath,
+  getCategoryUrl,
+  isInCategory
+} from '../utils/categoryTree';
+
+// Landing page for a node of the category tree: tiles for its subcategories
+// and every product under it
+const Category = () => {
+  const { slug } = useParams();
+  const category = getCategory(slug);
+  const { data: products, loading } = useCatalog(c => c.getInCategory(slug), [slug], []);
+
+  if (!category) {
+    return (
+      <div className="min-h-screen flex flex-col justify-center items-center">
+        <h2 className="text-2xl font-bold mb-4">Category Not Found</h2>
+        <p className="mb-6">Sorry, the category you're looking for doesn't exist.</p>
+        <Link
+          to="/products"
+          className="bg-black text-white px-6 py-2 rounded-full hover:bg-neon-accent hover:text-black transition-colors duration-300"
+        >
+          Back to Products
+        </Link>
+      </div>
+    );
+  }
+
+  const path = getCategoryPath(slug);
+  const parent = path.length > 1 ? path[path.length - 2] : null;
+  // Subcategories without an image of their own show their first product
+  const subcategories = getCategoryChildren(slug).map(child => {
+    const childProducts = products.filter(product => isInCategory(product, child.slug));
+    return {
+      ...child,
+      count: childProducts.length,
+      image: child.image || childProducts[0]?.image || '/product-images/placeholder.svg'
+    };
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="container mx-auto px-4 py-8">
+        <Breadcrumb category={slug} />
+
+        <div className="text-center mb-10">
+          <h1 className="text-4xl font-bold mb-2 bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">{category.name}</h1>
+          {!loading && (
+            <p className="text-gray-600">
+              {products.length} {products.length === 1 ? 'product' : 'products'}
+            </p>
+          )}
+        </div>
+
+        {subcategories.length > 0 && (
+          <section className="mb-12">
+            <h2 className="text-2xl font-semibold mb-6">Shop by Subcategory</h2>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {subcategories.map(subcategory => (
+                <motion.div key={subcategory.slug} whileHover={{ y: -5 }}>
+                  <Link
+                    to={getCategoryUrl(subcategory.slug)}
+                    className="relative block rounded-xl overflow-hidden h-36 group shadow-lg hover:shadow-xl transition-shadow duration-300"
+                  >
+                    <img
+                      src={subcategory.image}
+                      alt={subcategory.name}
+                      className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110"
+                      onError={(e) => {
+                        e.target.onerror = null;
+                        e.target.src = '/product-images/placeholder.svg';
+                      }}
+                    />
+                    <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-black/30 to-transparent flex flex-col items-center justify-end pb-4 text-white">
+                      <span className="text-lg font-bold group-hover:text-neon-accent transition-colors duration-300">{subcategory.name}</span>
+                      {!loading && (
+                        <span className="text-sm text-gray-200">
+                          {subcategory.count} {subcategory.count === 1 ? 'product' : 'products'}
+                        </span>
+                      )}
+                    </div>
+                  </Link>
+                </motion.div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        <section>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-semibold">All {category.name}</h2>
+            <Link
+              to={`/products?category=${encodeURIComponent(path[0].name)}`}
+              className="text-sm font-medium text-neon-accent-dark hover:underline"
+            >
+              Filter and sort all {path[0].name}
+            </Link>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-16">
+              <div className="w-16 h-16 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          ) : products.length === 0 ? (
+            <div className="text-center py-16 bg-white rounded-xl shadow-md border border-gray-100 p-8">
+              <p className="text-2xl font-semibold text-gray-700 mb-4">Nothing here yet</p>
+              <p className="text-gray-500 mb-8">We don't stock any {category.name.toLowerCase()} at the moment.</p>
+              <Link
+                to={parent ? getCategoryUrl(parent.slug) : '/products'}
+                className="bg-black text-white px-6 py-3 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+              >
+                {parent ? `Back to ${parent.name}` : 'Browse All Products'}
+              </Link>
+            </div>
+          ) : (
+            <IncrementalGrid
+              items={products}
+              getKey={product => product.id}
+              resetKey={slug}
+              className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8"
+              renderItem={product => <ProductCard product={product} />}
+            />
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Category;
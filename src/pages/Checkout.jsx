@@ -0,0 +1,611 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useCart } from '../utils/CartContext';
+import { useAuth } from '../utils/AuthContext';
+import Breadcrumb from '../components/Breadcrumb';
+import AddressFields from '../components/AddressFields';
+import { getDeliveryArea, getDeliveryConfig, getDeliverySlots, findDeliverySlot } from '../utils/delivery';
+import { emptyAddress, getAddresses, isSameAddress, saveAddress, validateAddress } from '../utils/addressBook';
+import { ORDER_CHANNELS, PAYMENT_METHODS, getPaymentMethod, getLineName, openOrderChannel, submitOrder } from '../utils/orderChannels';
+import { recordRedemption } from '../utils/promotions';
+import { createOrder, saveOrder } from '../utils/orders';
+import { formatPrice } from '../utils/pricing';
+import { sendEmail } from '../utils/emailTransport';
+import { orderConfirmationEmail } from '../utils/messageTemplates';
+import { clearCheckoutProgress, loadCheckoutProgress, saveCheckoutProgress, saveLastOrder } from '../utils/checkoutProgress';
+import toast from 'react-hot-toast';
+
+const STEPS = [
+  { id: 'address', label: 'Address' },
+  { id: 'slot', label: 'Delivery Slot' },
+  { id: 'payment', label: 'Payment' },
+  { id: 'review', label: 'Review' }
+];
+
+const emptyCheckout = {
+  step: 0,
+  // Saved address picked from the address book, or '' for a new one
+  addressId: '',
+  address: emptyAddress,
+  saveAddress: true,
+  slot: { date: '', windowId: '' },
+  paymentId: 'cod',
+  channel: 'email',
+  note: ''
+};
+
+// Progress saved for this customer, so a reload doesn't lose the form
+const loadCheckout = (email) => {
+  const saved = loadCheckoutProgress(email);
+  return saved ? { ...emptyCheckout, ...saved } : emptyCheckout;
+};
+
+// Each validator returns { field: message } for the fields that need fixing
+const validators = {
+  address: ({ address }) => validateAddress(address),
+  slot: ({ slot }) => {
+    return findDeliverySlot(slot.date, slot.windowId)
+      ? {}
+      : { slot: 'Please choose an available delivery slot' };
+  },
+  payment: ({ paymentId, channel }) => {
+    const errors = {};
+    if (!getPaymentMethod(paymentId)) errors.paymentId = 'Please choose a payment method';
+    if (!ORDER_CHANNELS[channel]) errors.channel = 'Please choose how to send your order';
+    return errors;
+  },
+  review: () => ({})
+};
+
+const Checkout = () => {
+  const { cart, hasStockIssues, getOrderSummary, clearCart } = useCart();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [checkout, setCheckout] = useState(() => loadCheckout(user.email));
+  const [errors, setErrors] = useState({});
+  const [isPlacingOrder, setIsPlacingOrder] = useState(false);
+
+  const currentStep = STEPS[checkout.step];
+  const summary = getOrderSummary(checkout.address.areaId);
+  const slots = getDeliverySlots();
+  const savedAddresses = getAddresses(user.email);
+
+  // Start from the default saved address, or pre-fill contact details from the account
+  useEffect(() => {
+    const [defaultAddress] = getAddresses(user.email);
+    setCheckout(prev => {
+      if (defaultAddress && !prev.addressId && !prev.address.line) {
+        return { ...prev, addressId: defaultAddress.id, address: { ...emptyAddress, ...defaultAddress } };
+      }
+      return {
+        ...prev,
+        address: {
+          ...prev.address,
+          fullName: prev.address.fullName || user.name || '',
+          phone: prev.address.phone || user.phone || ''
+        }
+      };
+    });
+  }, [user]);
+
+  // Save progress whenever it changes
+  useEffect(() => {
+    saveCheckoutProgress(user.email, checkout);
+  }, [user.email, checkout]);
+
+  const updateAddress = (field, value) => {
+    setCheckout(prev => ({ ...prev, address: { ...prev.address, [field]: value } }));
+  };
+
+  const selectSavedAddress = (address) => {
+    setErrors({});
+    setCheckout(prev => ({ ...prev, addressId: address.id, address: { ...emptyAddress, ...address } }));
+  };
+
+  // Switch to a blank form, keeping the account's contact details
+  const selectNewAddress = () => {
+    if (!checkout.addressId) return;
+    setErrors({});
+    setCheckout(prev => ({
+      ...prev,
+      addressId: '',
+      address: {
+        ...emptyAddress,
+        label: savedAddresses.length > 0 ? 'Other' : 'Home',
+        fullName: user.name || '',
+        phone: user.phone || ''
+      }
+    }));
+  };
+
+  // Validate every step up to and including `stepIndex`; returns the first failing step
+  const findInvalidStep = (stepIndex) => {
+    for (let i = 0; i <= stepIndex; i++) {
+      const stepErrors = validators[STEPS[i].id](checkout);
+      if (Object.keys(stepErrors).length > 0) {
+        return { index: i, errors: stepErrors };
+      }
+    }
+    return null;
+  };
+
+  const goToStep = (index) => {
+    setErrors({});
+    setCheckout(prev => ({ ...prev, step: index }));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleNext = () => {
+    const stepErrors = validators[currentStep.id](checkout);
+    if (Object.keys(stepErrors).length > 0) {
+      setErrors(stepErrors);
+      toast.error(Object.values(stepErrors)[0]);
+      return;
+    }
+    goToStep(checkout.step + 1);
+  };
+
+  const handleBack = () => {
+    goToStep(Math.max(0, checkout.step - 1));
+  };
+
+  // Steps already completed can be revisited from the progress bar
+  const handleStepClick = (index) => {
+    if (index < checkout.step) {
+      goToStep(index);
+    }
+  };
+
+  const handlePlaceOrder = async () => {
+    if (hasStockIssues) {
+      toast.error('Some items exceed available stock. Please update your cart.');
+      navigate('/cart');
+      return;
+    }
+
+    if (!summary.delivery.meetsMinimum) {
+      toast.error(`Add PKR ${formatPrice(summary.delivery.amountToMinimum)} more to reach the minimum order`);
+      return;
+    }
+
+    // Re-check everything in case the slot expired while reviewing
+    const invalid = findInvalidStep(STEPS.length - 1);
+    if (invalid) {
+      goToStep(invalid.index);
+      setErrors(invalid.errors);
+      toast.error(Object.values(invalid.errors)[0]);
+      return;
+    }
+
+    setIsPlacingOrder(true);
+
+    const slot = findDeliverySlot(checkout.slot.date, checkout.slot.windowId);
+    const payment = getPaymentMethod(checkout.paymentId);
+    const order = createOrder({
+      customer: {
+        email: user.email,
+        name: checkout.address.fullName.trim(),
+        phone: checkout.address.phone.trim()
+      },
+      address: {
+        areaId: checkout.address.areaId,
+        area: getDeliveryArea(checkout.address.areaId).name,
+        line: checkout.address.line.trim()
+      },
+      slot,
+      payment: { id: payment.id, label: payment.label },
+      channel: checkout.channel,
+      items: cart,
+      subtotal: summary.subtotal,
+      savings: summary.savings,
+      promotion: summary.promotion,
+      promoDiscount: summary.promoDiscount,
+      delivery: summary.delivery,
+      total: summary.total,
+      note: checkout.note.trim()
+    });
+
+    const popup = openOrderChannel(checkout.channel);
+
+    try {
+      await saveOrder(order);
+      submitOrder(order, checkout.channel, popup);
+
+      // The receipt is a courtesy; the order already went to the store
+      sendEmail(orderConfirmationEmail(order)).catch(error => {
+        console.error('Error sending order confirmation email:', error);
+      });
+
+      const isNewAddress = !checkout.addressId && !savedAddresses.some(address => isSameAddress(address, checkout.address));
+      if (checkout.saveAddress && isNewAddress) {
+        saveAddress(user.email, checkout.address);
+      }
+
+      if (summary.promotion?.singleUse) {
+        recordRedemption(summary.promotion.code, user.email);
+      }
+
+      saveLastOrder(order);
+      clearCheckoutProgress(user.email);
+      clearCart(false);
+
+      toast.success(`Redirecting to ${ORDER_CHANNELS[checkout.channel].label}...`);
+      navigate('/checkout/confirmation', { state: { order } });
+    } catch (error) {
+      console.error('Error placing order:', error);
+      popup?.close();
+      toast.error('Could not place your order. Please try again.');
+      setIsPlacingOrder(false);
+    }
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent ${errors[field] ? 'border-red-500' : 'border-gray-300'}`;
+
+  const renderError = (field) => errors[field] && (
+    <p className="mt-1 text-sm text-red-600">{errors[field]}</p>
+  );
+
+  if (cart.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <div className="container mx-auto max-w-xl text-center py-12 bg-white rounded-lg shadow-md">
+          <h2 className="text-2xl font-bold mb-4">Your cart is empty</h2>
+          <p className="text-gray-600 mb-8">Add some products before checking out.</p>
+          <Link
+            to="/products"
+            className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+          >
+            Start Shopping
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Shopping Cart', path: '/cart' },
+            { label: 'Checkout' }
+          ]}
+        />
+
+        <h1 className="text-3xl font-bold mb-8 text-center">Checkout</h1>
+
+        {/* Progress */}
+        <ol className="flex justify-between max-w-2xl mx-auto mb-10">
+          {STEPS.map((step, index) => (
+            <li key={step.id} className="flex-1 flex flex-col items-center">
+              <button
+                type="button"
+                onClick={() => handleStepClick(index)}
+                disabled={index >= checkout.step}
+                className={`w-10 h-10 rounded-full flex items-center justify-center font-bold transition-colors duration-300 ${
+                  index < checkout.step
+                    ? 'bg-neon-accent text-black cursor-pointer'
+                    : index === checkout.step
+                      ? 'bg-black text-white'
+                      : 'bg-gray-200 text-gray-500'
+                }`}
+                aria-current={index === checkout.step ? 'step' : undefined}
+              >
+                {index + 1}
+              </button>
+              <span className={`mt-2 text-sm ${index === checkout.step ? 'font-semibold text-gray-800' : 'text-gray-500'}`}>
+                {step.label}
+              </span>
+            </li>
+          ))}
+        </ol>
+
+        <div className="lg:flex lg:gap-6">
+          <div className="lg:w-2/3 mb-6 lg:mb-0">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <AnimatePresence mode="wait">
+                <motion.div
+                  key={currentStep.id}
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: -20 }}
+                  transition={{ duration: 0.2 }}
+                >
+                  {currentStep.id === 'address' && (
+                    <div>
+                      <h2 className="text-xl font-semibold mb-4">Delivery Address</h2>
+
+                      {savedAddresses.length > 0 && (
+                        <div className="space-y-3 mb-6">
+                          {savedAddresses.map(address => {
+                            const isSelected = checkout.addressId === address.id;
+                            return (
+                              <button
+                                key={address.id}
+                                type="button"
+                                onClick={() => selectSavedAddress(address)}
+                                className={`w-full text-left p-4 rounded-lg border-2 transition-all duration-300 ${
+                                  isSelected ? 'border-neon-accent bg-neon-accent/10' : 'border-gray-200 hover:border-neon-accent'
+                                }`}
+                                aria-pressed={isSelected}
+                              >
+                                <span className="flex items-center gap-2 font-medium">
+                                  {address.label}
+                                  {address.isDefault && (
+                                    <span className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">Default</span>
+                                  )}
+                                </span>
+                                <span className="block text-sm text-gray-600">{address.fullName} · {address.phone}</span>
+                                <span className="block text-sm text-gray-600">
+                                  {address.line}, {getDeliveryArea(address.areaId)?.name || 'Unknown area'}
+                                </span>
+                              </button>
+                            );
+                          })}
+                          <button
+                            type="button"
+                            onClick={selectNewAddress}
+                            className={`w-full text-left p-4 rounded-lg border-2 font-medium transition-all duration-300 ${
+                              !checkout.addressId ? 'border-neon-accent bg-neon-accent/10' : 'border-dashed border-gray-300 hover:border-neon-accent'
+                            }`}
+                            aria-pressed={!checkout.addressId}
+                          >
+                            + Deliver to a new address
+                          </button>
+                          {checkout.addressId && Object.keys(errors).length > 0 && (
+                            <p className="text-sm text-red-600">
+                              This saved address is incomplete. Please update it or enter a new address.
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {!checkout.addressId && (
+                        <>
+                          <AddressFields
+                            address={checkout.address}
+                            errors={errors}
+                            onChange={updateAddress}
+                            idPrefix="checkout"
+                            showLabel={checkout.saveAddress}
+                          />
+                          <label className="flex items-center gap-2 mt-4 text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={checkout.saveAddress}
+                              onChange={(e) => setCheckout(prev => ({ ...prev, saveAddress: e.target.checked }))}
+                              className="w-4 h-4 accent-neon-accent"
+                            />
+                            Save this address to my address book
+                          </label>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {currentStep.id === 'slot' && (
+                    <div>
+                      <h2 className="text-xl font-semibold mb-4">Delivery Slot</h2>
+                      {slots.length === 0 && (
+                        <p className="text-gray-600">No delivery slots are available right now. Please check back later.</p>
+                      )}
+                      {slots.map(day => (
+                        <div key={day.date} className="mb-6">
+                          <h3 className="font-medium text-gray-700 mb-3">{day.label}</h3>
+                          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                            {day.windows.map(slot => {
+                              const isSelected = checkout.slot.date === day.date && checkout.slot.windowId === slot.id;
+                              return (
+                                <button
+                                  key={slot.id}
+                                  type="button"
+                                  onClick={() => setCheckout(prev => ({ ...prev, slot: { date: day.date, windowId: slot.id } }))}
+                                  className={`px-3 py-2 rounded-lg border-2 text-sm font-medium transition-all duration-300 ${
+                                    isSelected ? 'border-neon-accent bg-neon-accent/10 shadow-md' : 'border-gray-200 hover:border-neon-accent'
+                                  }`}
+                                  aria-pressed={isSelected}
+                                >
+                                  {slot.label}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      ))}
+                      {renderError('slot')}
+                    </div>
+                  )}
+
+                  {currentStep.id === 'payment' && (
+                    <div>
+                      <h2 className="text-xl font-semibold mb-4">Payment Method</h2>
+                      <div className="space-y-3 mb-8">
+                        {PAYMENT_METHODS.map(method => (
+                          <label
+                            key={method.id}
+                            className={`flex items-start p-4 rounded-lg border-2 cursor-pointer transition-all duration-300 ${
+                              checkout.paymentId === method.id ? 'border-neon-accent bg-neon-accent/10' : 'border-gray-200 hover:border-neon-accent'
+                            }`}
+                          >
+                            <input
+                              type="radio"
+                              name="payment"
+                              value={method.id}
+                              checked={checkout.paymentId === method.id}
+                              onChange={() => setCheckout(prev => ({ ...prev, paymentId: method.id }))}
+                              className="mr-3 mt-1 accent-neon-accent"
+                            />
+                            <span>
+                              <span className="block font-medium">{method.label}</span>
+                              <span className="block text-sm text-gray-500">{method.description}</span>
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                      {renderError('paymentId')}
+
+                      <h3 className="font-semibold mb-3">Send Order Via</h3>
+                      <div className="flex space-x-4">
+                        {Object.values(ORDER_CHANNELS).map(channel => (
+                          <label key={channel.id} className="flex items-center">
+                            <input
+                              type="radio"
+                              name="channel"
+                              value={channel.id}
+                              checked={checkout.channel === channel.id}
+                              onChange={() => setCheckout(prev => ({ ...prev, channel: channel.id }))}
+                              className="mr-2"
+                            />
+                            {channel.label}
+                          </label>
+                        ))}
+                      </div>
+                      {renderError('channel')}
+                    </div>
+                  )}
+
+                  {currentStep.id === 'review' && (
+                    <div>
+                      <h2 className="text-xl font-semibold mb-4">Review Your Order</h2>
+
+                      <dl className="divide-y divide-gray-100 mb-6">
+                        <div className="py-3 flex justify-between gap-4">
+                          <dt className="text-gray-600">Deliver to</dt>
+                          <dd className="text-right">
+                            <span className="block font-medium">{checkout.address.fullName} · {checkout.address.phone}</span>
+                            <span className="block text-gray-600">{checkout.address.line}, {getDeliveryArea(checkout.address.areaId)?.name}</span>
+                            <button type="button" onClick={() => goToStep(0)} className="text-sm text-neon-accent hover:underline">Change</button>
+                          </dd>
+                        </div>
+                        <div className="py-3 flex justify-between gap-4">
+                          <dt className="text-gray-600">Delivery slot</dt>
+                          <dd className="text-right">
+                            <span className="block font-medium">{findDeliverySlot(checkout.slot.date, checkout.slot.windowId)?.label || 'No longer available'}</span>
+                            <button type="button" onClick={() => goToStep(1)} className="text-sm text-neon-accent hover:underline">Change</button>
+                          </dd>
+                        </div>
+                        <div className="py-3 flex justify-between gap-4">
+                          <dt className="text-gray-600">Payment</dt>
+                          <dd className="text-right">
+                            <span className="block font-medium">{getPaymentMethod(checkout.paymentId)?.label} · via {ORDER_CHANNELS[checkout.channel]?.label}</span>
+                            <button type="button" onClick={() => goToStep(2)} className="text-sm text-neon-accent hover:underline">Change</button>
+                          </dd>
+                        </div>
+                      </dl>
+
+                      <div>
+                        <label htmlFor="note" className="block text-gray-700 mb-2">Order Note (Optional)</label>
+                        <textarea
+                          id="note"
+                          value={checkout.note}
+                          onChange={(e) => setCheckout(prev => ({ ...prev, note: e.target.value }))}
+                          placeholder="Any special instructions for your order"
+                          rows="2"
+                          className={inputClass('note')}
+                        />
+                      </div>
+                    </div>
+                  )}
+                </motion.div>
+              </AnimatePresence>
+
+              <div className="flex justify-between mt-8">
+                {checkout.step > 0 ? (
+                  <button
+                    type="button"
+                    onClick={handleBack}
+                    className="px-6 py-2 rounded-full border-2 border-gray-300 font-medium hover:border-black transition-colors duration-300"
+                  >
+                    Back
+                  </button>
+                ) : (
+                  <Link
+                    to="/cart"
+                    className="px-6 py-2 rounded-full border-2 border-gray-300 font-medium hover:border-black transition-colors duration-300"
+                  >
+                    Back to Cart
+                  </Link>
+                )}
+
+                {currentStep.id === 'review' ? (
+                  <motion.button
+                    type="button"
+                    onClick={handlePlaceOrder}
+                    disabled={isPlacingOrder}
+                    className="px-8 py-2 rounded-full bg-black text-white font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300 disabled:opacity-50"
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    {isPlacingOrder ? 'Placing Order...' : 'Place Order'}
+                  </motion.button>
+                ) : (
+                  <motion.button
+                    type="button"
+                    onClick={handleNext}
+                    className="px-8 py-2 rounded-full bg-black text-white font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    Continue
+                  </motion.button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Order Summary */}
+          <div className="lg:w-1/3">
+            <div className="bg-white rounded-lg shadow-md overflow-hidden sticky top-4">
+              <div className="p-4 border-b">
+                <h2 className="text-xl font-semibold">Order Summary</h2>
+              </div>
+
+              <div className="p-4">
+                <div className="space-y-3 mb-6">
+                  {cart.map(item => (
+                    <div key={item.lineId} className="flex justify-between text-gray-600">
+                      <span>{getLineName(item)} x {item.quantity}</span>
+                      <span>PKR {formatPrice(item.price * item.quantity)}</span>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="border-t pt-3">
+                  <div className="flex justify-between text-gray-600 mb-2">
+                    <span>Subtotal</span>
+                    <span>PKR {formatPrice(summary.subtotal)}</span>
+                  </div>
+                  {summary.promoDiscount > 0 && (
+                    <div className="flex justify-between text-green-600 font-medium mb-2">
+                      <span>Promo ({summary.promotion.code})</span>
+                      <span>-PKR {formatPrice(summary.promoDiscount)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-gray-600 mb-2">
+                    <span>Delivery</span>
+                    <span className={summary.delivery.isFree ? 'text-green-600 font-medium' : ''}>
+                      {summary.delivery.isFree ? 'Free' : `PKR ${formatPrice(summary.delivery.fee)}`}
+                    </span>
+                  </div>
+                  <div className="flex justify-between font-bold text-lg">
+                    <span>Total</span>
+                    <span className="text-neon-accent">PKR {formatPrice(summary.total)}</span>
+                  </div>
+
+                  {!summary.delivery.meetsMinimum && (
+                    <p className="mt-3 p-2 bg-yellow-50 text-yellow-800 rounded-md text-sm">
+                      Minimum order is PKR {formatPrice(getDeliveryConfig().minimumOrder)}. Add PKR {formatPrice(summary.delivery.amountToMinimum)} more to place your order.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Checkout;
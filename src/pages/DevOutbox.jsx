@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import Breadcrumb from '../components/Breadcrumb';
+import { devOutbox } from '../utils/emailTransport';
+import { devSmsOutbox } from '../utils/smsTransport';
+import { formatPhone } from '../utils/phone';
+
+const TYPE_STYLES = {
+  verification: 'bg-blue-100 text-blue-700',
+  order: 'bg-green-100 text-green-700'
+};
+
+const CHANNELS = {
+  email: { label: 'Email', outbox: devOutbox, noun: 'emails', hint: 'Log in or place an order and the emails will show up here.' },
+  sms: { label: 'SMS', outbox: devSmsOutbox, noun: 'text messages', hint: 'Log in with a mobile number and the texts will show up here.' }
+};
+
+// Every email and SMS the app "sent" while its transport is set to outbox, newest first
+const DevOutbox = () => {
+  const [channel, setChannel] = useState('email');
+  const { outbox, noun, hint } = CHANNELS[channel];
+  const [messages, setMessages] = useState(outbox.list);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    setMessages(outbox.list());
+    return outbox.subscribe(setMessages);
+  }, [outbox]);
+
+  const handleCopy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Code copied');
+    } catch (error) {
+      console.error('Error copying code:', error);
+      toast.error('Could not copy the code');
+    }
+  };
+
+  const handleClear = () => {
+    outbox.clear();
+    toast.success('Outbox cleared');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-3xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Dev Outbox' }
+          ]}
+        />
+
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold">Dev Outbox</h1>
+            <p className="text-gray-600">Emails and texts are kept in this tab instead of being delivered, until it is closed.</p>
+          </div>
+          {messages.length > 0 && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+
+        <div className="flex gap-2 mb-6" role="tablist">
+          {Object.entries(CHANNELS).map(([id, { label }]) => (
+            <button
+              key={id}
+              type="button"
+              role="tab"
+              aria-selected={channel === id}
+              onClick={() => {
+                setChannel(id);
+                setOpenId(null);
+              }}
+              className={`px-4 py-2 rounded-full font-medium transition-colors duration-300 ${
+                channel === id ? 'bg-black text-white' : 'bg-white text-gray-600 hover:text-black shadow-sm'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {messages.length === 0 ? (
+          <div className="text-center py-12 bg-white rounded-lg shadow-md">
+            <h2 className="text-2xl font-bold mb-4">No {noun} yet</h2>
+            <p className="text-gray-600">{hint}</p>
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {messages.map(message => (
+              <li key={message.id} className="bg-white rounded-lg shadow-md overflow-hidden">
+                <div className="p-4 flex items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setOpenId(openId === message.id ? null : message.id)}
+                    className="flex-1 min-w-0 text-left flex items-center gap-3"
+                    aria-expanded={openId === message.id}
+                  >
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${TYPE_STYLES[message.type] || 'bg-gray-100 text-gray-600'}`}>
+                      {message.type || channel}
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block font-medium truncate">{message.subject || message.text}</span>
+                      <span className="block text-sm text-gray-600">
+                        To {channel === 'sms' ? formatPhone(message.to) : message.to} · {new Date(message.sentAt).toLocaleString()}
+                      </span>
+                    </span>
+                  </button>
+                  {message.meta?.code && (
+                    <button
+                      type="button"
+                      onClick={() => handleCopy(message.meta.code)}
+                      className="px-3 py-1 rounded-md bg-neon-accent text-black font-mono font-bold tracking-widest"
+                      title="Copy code"
+                    >
+                      {message.meta.code}
+                    </button>
+                  )}
+                </div>
+                {openId === message.id && (
+                  <pre className="px-4 pb-4 text-sm text-gray-700 whitespace-pre-wrap font-mono border-t pt-4">
+                    {message.text}
+                  </pre>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DevOutbox;
@@ -3,12 +3,15 @@ import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import ProductCard from '../components/ProductCard';
 import SwipeableCardStack from '../components/SwipeableCardStack';
+import { useCatalog } from '../utils/catalog';
+import { getPricing } from '../utils/pricing';
 
 const Home = () => {
-  const [products, setProducts] = useState([]);
-  const [featuredProducts, setFeaturedProducts] = useState([]);
+  const { data: products, loading: isLoading } = useCatalog(catalog => catalog.getAll(), [], []);
   const [currentHeroIndex, setCurrentHeroIndex] = useState(0);
-  const [isLoading, setIsLoading] = useState(true);
+  
+  // Featured products (first 6)
+  const featuredProducts = products.slice(0, 6);
   
   // Hero images
   const heroImages = [
@@ -74,28 +77,6 @@ const Home = () => {
     }
   ];
   
-  // Load products
-  useEffect(() => {
-    const loadProducts = async () => {
-      try {
-        setIsLoading(true);
-        const allProducts = await import('../data/products.json')
-          .then(module => module.default);
-        
-        setProducts(allProducts);
-        
-        // Select featured products (first 6)
-        setFeaturedProducts(allProducts.slice(0, 6));
-      } catch (error) {
-        console.error('Error loading products:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
-    loadProducts();
-  }, []);
-  
   // Auto-change hero image every 5 seconds
   useEffect(() => {
     const interval = setInterval(() => {
@@ -281,7 +262,7 @@ const Home = () => {
                   <div className="p-3 md:p-4">
                     <h3 className="text-base md:text-lg font-semibold text-gray-800 mb-1 line-clamp-2">{product.name}</h3>
                     <p className="text-xs md:text-sm text-gray-500 mb-1 md:mb-2">{product.brand}</p>
-                    <p className="text-neon-accent font-bold text-base md:text-lg">PKR {product.price.toLocaleString()}</p>
+                    <p className="text-neon-accent font-bold text-base md:text-lg">PKR {getPricing(product).price.toLocaleString()}</p>
                   </div>
                 </motion.div>
               ))}
@@ -373,14 +354,14 @@ const Home = () => {
             viewport={{ once: true }}
           >
             {[
-              { name: 'Dairy', image: '/product-images/olper-milk-1.jpg' },
-              { name: 'Beverages', image: '/product-images/slice-juice-1.jpg' },
-              { name: 'Snacks & Biscuits', image: '/product-images/sooper-biscuits-1.jpg' },
-              { name: 'Cooking Essentials', image: '/product-images/dalda-oil-1.jpg' },
-              { name: 'Toiletries', image: '/product-images/lifebuoy-soap-1.jpg' },
-              { name: 'Cleaning', image: '/product-images/surf-excel-1.jpg' },
-              { name: 'Spices', image: '/product-images/shan-biryani-1.jpg' },
-              { name: 'Grains & Staples', image: '/product-images/guard-rice-1.jpg' },
+              { name: 'Dairy', path: '/category/dairy', image: '/product-images/olper-milk-1.jpg' },
+              { name: 'Beverages', path: '/category/beverages', image: '/product-images/slice-juice-1.jpg' },
+              { name: 'Snacks & Biscuits', path: '/category/snacks-biscuits', image: '/product-images/sooper-biscuits-1.jpg' },
+              { name: 'Cooking Essentials', path: '/category/cooking-essentials', image: '/product-images/dalda-oil-1.jpg' },
+              { name: 'Toiletries', path: '/category/toiletries-hygiene', image: '/product-images/lifebuoy-soap-1.jpg' },
+              { name: 'Cleaning', path: '/category/cleaning-washing', image: '/product-images/surf-excel-1.jpg' },
+              { name: 'Spices', path: '/category/spices-masalas', image: '/product-images/shan-biryani-1.jpg' },
+              { name: 'Grains & Staples', path: '/category/grains-staples', image: '/product-images/guard-rice-1.jpg' },
             ].map((category, index) => (
               <motion.div
                 key={index}
@@ -402,7 +383,7 @@ const Home = () => {
                 />
                 <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-black/30 to-transparent flex items-end justify-center pb-6">
                   <Link 
-                    to={`/products?category=${category.name}`}
+                    to={category.path}
                     className="text-white text-xl font-bold hover:text-neon-accent transition-all duration-300 transform group-hover:scale-110"
                   >
                     {category.name}
@@ -1,23 +1,30 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../utils/AuthContext';
 import Breadcrumb from '../components/Breadcrumb';
+import { getReturnPath, withReturnTo } from '../utils/returnTo';
+import { isValidPhone } from '../utils/phone';
 import toast from 'react-hot-toast';
 
 const Login = () => {
+  // Log in with a code by 'email' or by SMS to a 'phone'
+  const [method, setMethod] = useState('email');
   const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [networkStatus, setNetworkStatus] = useState('online');
-  const { login, user } = useAuth();
+  const { login, loginWithPhone, user } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnPath = getReturnPath(searchParams);
   
   // Redirect if already logged in
   useEffect(() => {
     if (user) {
-      navigate('/');
+      navigate(returnPath || '/', { replace: true });
     }
-  }, [user, navigate]);
+  }, [user, navigate, returnPath]);
   
   // Check network status
   useEffect(() => {
@@ -52,30 +59,36 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!email.trim()) {
-      toast.error('Please enter your email address');
-      return;
-    }
-    
-    if (!isValidEmail(email)) {
-      toast.error('Please enter a valid email address');
-      return;
+    if (method === 'phone') {
+      if (!isValidPhone(phone)) {
+        toast.error('Please enter a valid mobile number, e.g. 03001234567');
+        return;
+      }
+    } else {
+      if (!email.trim()) {
+        toast.error('Please enter your email address');
+        return;
+      }
+      
+      if (!isValidEmail(email)) {
+        toast.error('Please enter a valid email address');
+        return;
+      }
     }
     
     setIsSubmitting(true);
     
     try {
-      // Generate a random 6-digit code
-      const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Call login function from AuthContext (now async)
-      const emailSent = await login(email, verificationCode);
+      // AuthContext checks the account exists, then generates the code and sends it
+      const codeSent = method === 'phone'
+        ? await loginWithPhone(phone, { returnTo: returnPath })
+        : await login(email, { returnTo: returnPath });
       
-      if (emailSent) {
-        toast.success('Verification code sent to your email');
+      if (codeSent) {
+        toast.success(`Verification code sent to your ${method === 'phone' ? 'phone' : 'email'}`);
       } else {
-        // Email wasn't sent but we still created the pending user
-        toast.warning('We had trouble sending the email, but you can still proceed with verification. If you don\'t receive the code, you can request a new one on the next screen.');
+        // The code wasn't sent but we still created the pending user
+        toast(`We had trouble sending the ${method === 'phone' ? 'SMS' : 'email'}, but you can still proceed with verification. If you don't receive the code, you can request a new one on the next screen.`, { icon: '⚠️' });
       }
       
       navigate('/verify');
@@ -110,19 +123,56 @@ const Login = () => {
           <div className="px-6 py-8">
             <h2 className="text-3xl font-bold text-center text-gray-800 mb-6">Login to WahabStore</h2>
           
-          <form onSubmit={handleSubmit}>
-            <div className="mb-6">
-              <label htmlFor="email" className="block text-gray-700 font-medium mb-2">Email Address</label>
-              <input 
-                type="email" 
-                id="email" 
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="Enter your email"
-                className="w-full px-4 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
+          <div className="flex mb-6 p-1 bg-gray-100 rounded-full" role="tablist">
+            {[
+              { id: 'email', label: 'Email' },
+              { id: 'phone', label: 'Mobile Number' }
+            ].map(option => (
+              <button
+                key={option.id}
+                type="button"
+                role="tab"
+                aria-selected={method === option.id}
+                onClick={() => setMethod(option.id)}
+                className={`flex-1 py-2 rounded-full font-medium transition-colors duration-300 ${
+                  method === option.id ? 'bg-black text-white' : 'text-gray-600 hover:text-black'
+                }`}
                 disabled={isSubmitting}
-              />
-            </div>
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          
+          <form onSubmit={handleSubmit}>
+            {method === 'phone' ? (
+              <div className="mb-6">
+                <label htmlFor="phone" className="block text-gray-700 font-medium mb-2">Mobile Number</label>
+                <input 
+                  type="tel" 
+                  id="phone" 
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  placeholder="e.g., 03001234567 or +92 300 1234567"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
+                  disabled={isSubmitting}
+                />
+                <p className="mt-2 text-sm text-gray-500">We'll text a 6-digit code to the number on your account.</p>
+              </div>
+            ) : (
+              <div className="mb-6">
+                <label htmlFor="email" className="block text-gray-700 font-medium mb-2">Email Address</label>
+                <input 
+                  type="email" 
+                  id="email" 
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Enter your email"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
+                  disabled={isSubmitting}
+                />
+              </div>
+            )}
             
             {networkStatus === 'offline' && (
               <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 text-yellow-700 text-sm rounded-md">
@@ -150,7 +200,7 @@ const Login = () => {
           
           <p className="text-center mt-6 text-gray-600">
             Don't have an account?{' '}
-            <Link to="/register" className="text-neon-accent font-medium hover:underline">
+            <Link to={withReturnTo('/register', returnPath)} className="text-neon-accent font-medium hover:underline">
               Register
             </Link>
           </p>
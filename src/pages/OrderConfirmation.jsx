@@ -0,0 +1,144 @@
+import { Link, useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import { ORDER_CHANNELS, getLineName } from '../utils/orderChannels';
+import { formatPrice } from '../utils/pricing';
+import { loadLastOrder } from '../utils/checkoutProgress';
+
+const OrderConfirmation = () => {
+  const location = useLocation();
+  // The order comes from the checkout navigation, or sessionStorage after a reload
+  const order = location.state?.order || loadLastOrder();
+
+  if (!order) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <div className="container mx-auto max-w-xl text-center py-12 bg-white rounded-lg shadow-md">
+          <h2 className="text-2xl font-bold mb-4">No recent order</h2>
+          <p className="text-gray-600 mb-8">We couldn't find an order to show.</p>
+          <Link
+            to="/products"
+            className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+          >
+            Continue Shopping
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const channel = ORDER_CHANNELS[order.channel];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-2xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Order Confirmation' }
+          ]}
+        />
+
+        <motion.div
+          className="bg-white rounded-lg shadow-md overflow-hidden"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <div className="p-8 text-center border-b">
+            <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-neon-accent flex items-center justify-center">
+              <svg className="w-8 h-8 text-black" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
+              </svg>
+            </div>
+            <h1 className="text-3xl font-bold mb-2">Thank you for your order!</h1>
+            {order.id && (
+              <p className="text-lg font-medium mb-2">Order ID: <span className="text-neon-accent">{order.id}</span></p>
+            )}
+            <p className="text-gray-600">
+              Your order was sent via {channel?.label || order.channel}. If the {channel?.label || ''} window didn't open, you can send it again below.
+            </p>
+          </div>
+
+          <div className="p-6">
+            <dl className="divide-y divide-gray-100 mb-6">
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Deliver to</dt>
+                <dd className="text-right">
+                  <span className="block font-medium">{order.customer.name} · {order.customer.phone}</span>
+                  <span className="block text-gray-600">{order.address.line}, {order.address.area}</span>
+                </dd>
+              </div>
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Delivery slot</dt>
+                <dd className="font-medium text-right">{order.slot.label}</dd>
+              </div>
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Payment</dt>
+                <dd className="font-medium text-right">{order.payment.label}</dd>
+              </div>
+            </dl>
+
+            <div className="space-y-3 mb-6">
+              {order.items.map(item => (
+                <div key={item.lineId} className="flex justify-between text-gray-600">
+                  <span>{getLineName(item)} x {item.quantity}</span>
+                  <span>PKR {formatPrice(item.price * item.quantity)}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="border-t pt-3 mb-8">
+              <div className="flex justify-between text-gray-600 mb-2">
+                <span>Subtotal</span>
+                <span>PKR {formatPrice(order.subtotal)}</span>
+              </div>
+              {order.promoDiscount > 0 && (
+                <div className="flex justify-between text-green-600 font-medium mb-2">
+                  <span>Promo ({order.promotion.code})</span>
+                  <span>-PKR {formatPrice(order.promoDiscount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600 mb-2">
+                <span>Delivery</span>
+                <span>{order.delivery.isFree ? 'Free' : `PKR ${formatPrice(order.delivery.fee)}`}</span>
+              </div>
+              <div className="flex justify-between font-bold text-lg">
+                <span>Total</span>
+                <span className="text-neon-accent">PKR {formatPrice(order.total)}</span>
+              </div>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              {channel && (
+                <button
+                  type="button"
+                  onClick={() => channel.send(order)}
+                  className="px-6 py-3 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                >
+                  Send Again via {channel.label}
+                </button>
+              )}
+              {order.id && (
+                <Link
+                  to={`/orders/${order.id}`}
+                  className="px-6 py-3 rounded-full border-2 border-gray-300 font-semibold text-center hover:border-black transition-colors duration-300"
+                >
+                  View Order
+                </Link>
+              )}
+              <Link
+                to="/products"
+                className="bg-black text-white px-6 py-3 rounded-full font-semibold text-center hover:bg-neon-accent hover:text-black transition-colors duration-300"
+              >
+                Continue Shopping
+              </Link>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderConfirmation;
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import { useAuth } from '../utils/AuthContext';
+import { useCart } from '../utils/CartContext';
+import { getOrder, getOrderStatus } from '../utils/orders';
+import { getLineName } from '../utils/orderChannels';
+import { formatPrice } from '../utils/pricing';
+
+const OrderDetail = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { reorder } = useCart();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isReordering, setIsReordering] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getOrder(user.email, orderId)
+      .then(result => {
+        if (!cancelled) setOrder(result);
+      })
+      .catch(error => {
+        console.error('Error loading order:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, orderId]);
+
+  const handleReorder = async () => {
+    setIsReordering(true);
+    const added = await reorder(order);
+    setIsReordering(false);
+    if (added) {
+      navigate('/cart');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <div className="container mx-auto max-w-xl text-center py-12 bg-white rounded-lg shadow-md">
+          <h2 className="text-2xl font-bold mb-4">Order not found</h2>
+          <p className="text-gray-600 mb-8">We couldn't find order {orderId} in your account.</p>
+          <Link
+            to="/orders"
+            className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+          >
+            Back to My Orders
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const status = getOrderStatus(order.status);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-3xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'My Orders', path: '/orders' },
+            { label: order.id }
+          ]}
+        />
+
+        <motion.div
+          className="bg-white rounded-lg shadow-md overflow-hidden"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <div className="p-6 border-b flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold mb-1">Order {order.id}</h1>
+              <p className="text-gray-600">
+                Placed on {new Date(order.createdAt).toLocaleString('en-PK', { dateStyle: 'medium', timeStyle: 'short' })}
+              </p>
+            </div>
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${status.className}`}>
+              {status.label}
+            </span>
+          </div>
+
+          <div className="p-6">
+            <dl className="divide-y divide-gray-100 mb-6">
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Deliver to</dt>
+                <dd className="text-right">
+                  <span className="block font-medium">{order.customer.name} · {order.customer.phone}</span>
+                  <span className="block text-gray-600">{order.address.line}, {order.address.area}</span>
+                </dd>
+              </div>
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Delivery slot</dt>
+                <dd className="font-medium text-right">{order.slot.label}</dd>
+              </div>
+              <div className="py-3 flex justify-between gap-4">
+                <dt className="text-gray-600">Payment</dt>
+                <dd className="font-medium text-right">{order.payment.label}</dd>
+              </div>
+              {order.note && (
+                <div className="py-3 flex justify-between gap-4">
+                  <dt className="text-gray-600">Note</dt>
+                  <dd className="text-right">{order.note}</dd>
+                </div>
+              )}
+            </dl>
+
+            <div className="divide-y divide-gray-100 mb-6">
+              {order.items.map(item => (
+                <div key={item.lineId} className="py-3 flex items-center gap-4">
+                  <img
+                    src={item.image}
+                    alt={item.name}
+                    className="w-16 h-16 object-cover rounded-md flex-shrink-0"
+                  />
+                  <div className="flex-1">
+                    <Link
+                      to={`/product/${item.id}${item.variantId ? `?variant=${item.variantId}` : ''}`}
+                      className="font-medium hover:text-neon-accent"
+                    >
+                      {getLineName(item)}
+                    </Link>
+                    <p className="text-sm text-gray-600">{item.quantity} x PKR {formatPrice(item.price)}</p>
+                  </div>
+                  <span className="font-medium">PKR {formatPrice(item.price * item.quantity)}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="border-t pt-3 mb-8">
+              <div className="flex justify-between text-gray-600 mb-2">
+                <span>Subtotal</span>
+                <span>PKR {formatPrice(order.subtotal)}</span>
+              </div>
+              {order.promoDiscount > 0 && (
+                <div className="flex justify-between text-green-600 font-medium mb-2">
+                  <span>Promo ({order.promotion.code})</span>
+                  <span>-PKR {formatPrice(order.promoDiscount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600 mb-2">
+                <span>Delivery</span>
+                <span>{order.delivery.isFree ? 'Free' : `PKR ${formatPrice(order.delivery.fee)}`}</span>
+              </div>
+              <div className="flex justify-between font-bold text-lg">
+                <span>Total</span>
+                <span className="text-neon-accent">PKR {formatPrice(order.total)}</span>
+              </div>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <Link
+                to="/orders"
+                className="px-6 py-3 rounded-full border-2 border-gray-300 font-semibold text-center hover:border-black transition-colors duration-300"
+              >
+                Back to My Orders
+              </Link>
+              <button
+                type="button"
+                onClick={handleReorder}
+                disabled={isReordering}
+                className="bg-black text-white px-6 py-3 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300 disabled:opacity-50"
+              >
+                {isReordering ? 'Adding to Cart...' : 'Reorder'}
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetail;
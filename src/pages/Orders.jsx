@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import { useAuth } from '../utils/AuthContext';
+import { useCart } from '../utils/CartContext';
+import { getOrders, getOrderStatus } from '../utils/orders';
+import { formatPrice } from '../utils/pricing';
+
+const Orders = () => {
+  const { user } = useAuth();
+  const { reorder } = useCart();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reorderingId, setReorderingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getOrders(user.email)
+      .then(result => {
+        if (!cancelled) setOrders(result);
+      })
+      .catch(error => {
+        console.error('Error loading orders:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-PK', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  const handleReorder = async (order) => {
+    setReorderingId(order.id);
+    await reorder(order);
+    setReorderingId(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-3xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'My Orders' }
+          ]}
+        />
+
+        <h1 className="text-3xl font-bold mb-8">My Orders</h1>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="w-12 h-12 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-12 bg-white rounded-lg shadow-md">
+            <h2 className="text-2xl font-bold mb-4">No orders yet</h2>
+            <p className="text-gray-600 mb-8">Orders you place will show up here.</p>
+            <Link
+              to="/products"
+              className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+            >
+              Start Shopping
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {orders.map((order, index) => {
+              const status = getOrderStatus(order.status);
+              const itemCount = order.items.reduce((total, item) => total + item.quantity, 0);
+
+              return (
+                <motion.div
+                  key={order.id}
+                  className="bg-white rounded-lg shadow-md p-6"
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3, delay: index * 0.05 }}
+                >
+                  <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                    <div>
+                      <Link to={`/orders/${order.id}`} className="text-lg font-bold hover:text-neon-accent">
+                        {order.id}
+                      </Link>
+                      <p className="text-sm text-gray-600">
+                        {formatDate(order.createdAt)} · {itemCount} item{itemCount !== 1 ? 's' : ''}
+                      </p>
+                    </div>
+                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </div>
+
+                  <div className="flex gap-2 mb-4 overflow-x-auto">
+                    {order.items.slice(0, 5).map(item => (
+                      <img
+                        key={item.lineId}
+                        src={item.image}
+                        alt={item.name}
+                        className="w-14 h-14 object-cover rounded-md flex-shrink-0"
+                      />
+                    ))}
+                    {order.items.length > 5 && (
+                      <div className="w-14 h-14 rounded-md bg-gray-100 flex items-center justify-center text-sm text-gray-600 flex-shrink-0">
+                        +{order.items.length - 5}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="flex flex-wrap items-center justify-between gap-4">
+                    <span className="font-bold">PKR {formatPrice(order.total)}</span>
+                    <div className="flex gap-3">
+                      <Link
+                        to={`/orders/${order.id}`}
+                        className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                      >
+                        View Details
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={() => handleReorder(order)}
+                        disabled={reorderingId === order.id}
+                        className="bg-black text-white px-4 py-2 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300 disabled:opacity-50"
+                      >
+                        {reorderingId === order.id ? 'Adding...' : 'Reorder'}
+                      </button>
+                    </div>
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Orders;
@@ -1,70 +1,90 @@
 import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useLocation, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import ProductCard from '../components/ProductCard';
 import Breadcrumb from '../components/Breadcrumb';
 import { useCart } from '../utils/CartContext';
+import { useCatalog } from '../utils/catalog';
+import { getVariants, getVariant, getDefaultVariant, getVariantLabel, hasVariants } from '../utils/variants';
+import { getStock, isOutOfStock, clampQuantity } from '../utils/inventory';
+import { getPricing } from '../utils/pricing';
+import { formatUnitPrice, getUnitPrice } from '../utils/unitPrice';
+import { getCategoryPath, getCategoryUrl, getProductCategory } from '../utils/categoryTree';
+import { getBrandLink } from '../utils/brands';
+import StockBadge from '../components/StockBadge';
+
+// Placeholders for the extra carousel slides since we only have one image per variant
+const carouselImages = [
+  '/product-images/placeholder.svg',
+  '/product-images/placeholder.svg',
+  '/product-images/placeholder.svg'
+];
 
 const ProductDetail = () => {
   const { id } = useParams();
+  const location = useLocation();
+  const requestedVariantId = new URLSearchParams(location.search).get('variant');
   const { addToCart } = useCart();
   
-  const [product, setProduct] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [relatedProducts, setRelatedProducts] = useState([]);
+  const { data, loading } = useCatalog(async catalog => {
+    const found = await catalog.getById(id);
+    if (!found) return null;
+    
+    return {
+      product: { ...found, images: carouselImages },
+      relatedProducts: await catalog.related(found)
+    };
+  }, [id]);
+  const product = data?.product || null;
+  const relatedProducts = data?.relatedProducts || [];
+  
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [quantity, setQuantity] = useState(1);
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
   
-  // Load product data?
+  // Pick the variant from ?variant= (e.g. when coming from the cart) or the default one
   useEffect(() => {
-    const loadProduct = async () => {
-      try {
-        setLoading(true);
-        
-        const allProducts = await import('../data/products.json')
-          .then(module => module.default);
-        
-        const foundProduct = allProducts.find(p => p.id === id);
-        
-        if (foundProduct) {
-          setProduct(foundProduct);
-          
-          // Use placeholder for all images in carousel since we don't have multiple images
-          foundProduct.images = [
-            '/product-images/placeholder.svg',
-            '/product-images/placeholder.svg',
-            '/product-images/placeholder.svg'
-          ];
-          
-          // Find related products (same category)
-          const related = allProducts
-            .filter(p => p.category === foundProduct.category && p.id !== id)
-            .slice(0, 4);
-          
-          setRelatedProducts(related);
-        }
-      } catch (error) {
-        console.error('Error loading product:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    loadProduct();
-  }, [id]);
+    if (product) {
+      const initialVariant = getVariant(product, requestedVariantId) || getDefaultVariant(product);
+      setSelectedVariantId(initialVariant?.id || null);
+    }
+  }, [product, requestedVariantId]);
+  
+  const selectedVariant = getVariant(product, selectedVariantId) || getDefaultVariant(product);
+  const images = product
+    ? [selectedVariant?.image || product.image, ...product.images.slice(1)]
+    : [];
+  const stock = product ? getStock(product, selectedVariant) : null;
+  const outOfStock = isOutOfStock(stock);
+  const pricing = product ? getPricing(product, selectedVariant) : null;
+  const unitPrice = product ? getUnitPrice(product, selectedVariant) : null;
+  // e.g. Dairy > Milk
+  const categoryNode = product ? getProductCategory(product) : null;
+  const categoryPath = categoryNode ? getCategoryPath(categoryNode.slug) : [];
+  
+  // Keep the chosen quantity within what the selected variant has in stock
+  useEffect(() => {
+    setQuantity(prevQuantity => Math.max(1, clampQuantity(prevQuantity, stock)));
+  }, [stock]);
+  
+  // Switch variant and show its image
+  const handleVariantChange = (variantId) => {
+    setSelectedVariantId(variantId);
+    setCurrentImageIndex(0);
+  };
   
   // Handle quantity change
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value);
     if (value > 0) {
-      setQuantity(value);
+      setQuantity(clampQuantity(value, stock));
     }
   };
   
   // Add to cart with selected quantity
   const handleAddToCart = () => {
-    if (product) {
-      addToCart(product, quantity);
+    if (product && !outOfStock) {
+      addToCart(product, quantity, selectedVariant);
     }
   };
   
@@ -72,7 +92,7 @@ const ProductDetail = () => {
   const nextImage = () => {
     if (product) {
       setCurrentImageIndex((prevIndex) => 
-        prevIndex === product.images.length - 1 ? 0 : prevIndex + 1
+        prevIndex === images.length - 1 ? 0 : prevIndex + 1
       );
     }
   };
@@ -81,7 +101,7 @@ const ProductDetail = () => {
   const prevImage = () => {
     if (product) {
       setCurrentImageIndex((prevIndex) => 
-        prevIndex === 0 ? product.images.length - 1 : prevIndex - 1
+        prevIndex === 0 ? images.length - 1 : prevIndex - 1
       );
     }
   };
@@ -114,12 +134,8 @@ const ProductDetail = () => {
       <div className="container mx-auto">
         {/* Breadcrumb */}
         <Breadcrumb 
-          items={[
-            { label: 'Home', path: '/' },
-            { label: 'Products', path: '/products' },
-            { label: product.category, path: `/products?category=${product.category}` },
-            { label: product.name }
-          ]}
+          category={categoryNode?.slug}
+          items={[{ label: product.name }]}
         />
         
         <div className="bg-white rounded-xl shadow-xl overflow-hidden border border-gray-100 transition-all duration-300 hover:shadow-2xl mb-12">
@@ -127,7 +143,7 @@ const ProductDetail = () => {
             {/* Product Images Carousel */}
             <div className="md:w-1/2 p-8">
               <div className="relative h-80 md:h-96 overflow-hidden rounded-xl bg-gray-50 border border-gray-100">
-                {product.images.map((image, index) => (
+                {images.map((image, index) => (
                   <motion.div
                     key={index}
                     className="absolute inset-0"
@@ -173,7 +189,7 @@ const ProductDetail = () => {
               
               {/* Thumbnail Navigation */}
               <div className="flex justify-center mt-6 space-x-3">
-                {product.images.map((image, index) => (
+                {images.map((image, index) => (
                   <button
                     key={index}
                     onClick={() => setCurrentImageIndex(index)}
@@ -200,17 +216,66 @@ const ProductDetail = () => {
               <div className="flex items-center mb-4">
                 <span className="text-gray-600 mr-2 font-medium">Brand:</span>
                 <Link 
-                  to={`/products?brand=${product.brand}`}
+                  to={getBrandLink(product.brand)}
                   className="text-neon-accent hover:underline font-semibold transition-colors duration-300 hover:text-neon-accent-dark"
                 >
                   {product.brand}
                 </Link>
               </div>
               
-              <div className="text-3xl font-bold mb-6 bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">
-                ₹ {product.price}
+              <div className="flex items-center gap-3 mb-6">
+                <span className="text-3xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">
+                  ₹ {pricing.price}
+                </span>
+                {pricing.onSale && (
+                  <>
+                    <span className="text-xl text-gray-400 line-through">₹ {pricing.originalPrice}</span>
+                    <span className="px-2.5 py-1 rounded-full text-xs font-semibold bg-neon-accent text-black">
+                      Save {pricing.discountPercent}%
+                    </span>
+                  </>
+                )}
+                <StockBadge stock={stock} />
               </div>
               
+              {unitPrice && (
+                <p className="-mt-4 mb-6 text-sm text-gray-600 font-medium">{formatUnitPrice(unitPrice)}</p>
+              )}
+              
+              {pricing.endsAt && (
+                <p className="-mt-4 mb-6 text-sm text-gray-600">
+                  Offer ends {new Date(pricing.endsAt).toLocaleDateString()}
+                </p>
+              )}
+              
+              {hasVariants(product) && (
+                <div className="mb-8">
+                  <span className="block text-gray-700 font-medium mb-3">Size</span>
+                  <div className="flex flex-wrap gap-3" role="radiogroup" aria-label="Size">
+                    {getVariants(product).map(variant => (
+                      <button
+                        key={variant.id}
+                        type="button"
+                        role="radio"
+                        aria-checked={selectedVariant?.id === variant.id}
+                        onClick={() => handleVariantChange(variant.id)}
+                        className={`px-4 py-2 rounded-lg border-2 font-medium transition-all duration-300 ${
+                          selectedVariant?.id === variant.id
+                            ? 'border-neon-accent bg-white shadow-md'
+                            : 'border-gray-200 bg-white hover:border-neon-accent'
+                        } ${isOutOfStock(getStock(product, variant)) ? 'opacity-50 line-through' : ''}`}
+                      >
+                        <span className="block">{getVariantLabel(variant)}</span>
+                        <span className="block text-sm text-gray-500">₹ {getPricing(product, variant).price}</span>
+                        {getUnitPrice(product, variant) && (
+                          <span className="block text-xs text-gray-400">{formatUnitPrice(getUnitPrice(product, variant))}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
               <div className="mb-8 bg-white p-4 rounded-lg shadow-sm border border-gray-100">
                 <h3 className="text-xl font-semibold mb-3 text-gray-800 border-b border-gray-200 pb-2">Description</h3>
                 <p className="text-gray-700 leading-relaxed">{product.description}</p>
@@ -231,11 +296,14 @@ const ProductDetail = () => {
                     value={quantity} 
                     onChange={handleQuantityChange}
                     min="1"
+                    max={stock ?? undefined}
+                    disabled={outOfStock}
                     className="w-20 text-center border-t border-b border-gray-300 py-2 text-lg font-medium"
                   />
                   <button 
-                    onClick={() => setQuantity(quantity + 1)}
-                    className="bg-gray-200 text-gray-800 px-4 py-2 rounded-r-lg hover:bg-neon-accent hover:text-black font-bold text-xl transition-all duration-300 shadow-sm"
+                    onClick={() => setQuantity(clampQuantity(quantity + 1, stock))}
+                    disabled={outOfStock || (stock !== null && quantity >= stock)}
+                    className="bg-gray-200 text-gray-800 px-4 py-2 rounded-r-lg hover:bg-neon-accent hover:text-black font-bold text-xl transition-all duration-300 shadow-sm disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-gray-200"
                   >
                     +
                   </button>
@@ -244,25 +312,37 @@ const ProductDetail = () => {
               
               <motion.button
                 onClick={handleAddToCart}
-                className="w-full bg-gradient-to-r from-neon-accent to-neon-accent-dark text-black py-4 rounded-lg text-lg font-bold hover:shadow-lg hover:scale-105 transform transition-all duration-300 mb-6 flex items-center justify-center"
-                whileTap={{ scale: 0.95 }}
+                disabled={outOfStock}
+                className={`w-full py-4 rounded-lg text-lg font-bold transform transition-all duration-300 mb-6 flex items-center justify-center ${
+                  outOfStock
+                    ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    : 'bg-gradient-to-r from-neon-accent to-neon-accent-dark text-black hover:shadow-lg hover:scale-105'
+                }`}
+                whileTap={outOfStock ? {} : { scale: 0.95 }}
               >
                 <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"></path>
                 </svg>
-                Add to Cart
+                {outOfStock ? 'Out of Stock' : 'Add to Cart'}
               </motion.button>
               
               <div className="mt-8 border-t border-gray-200 pt-6 bg-white p-4 rounded-lg shadow-sm border border-gray-100">
                 <h3 className="text-xl font-semibold mb-4 text-gray-800 border-b border-gray-200 pb-2">Product Details</h3>
                 <div className="flex items-center mb-3">
                   <span className="text-gray-700 mr-2 font-medium w-24">Category:</span>
-                  <Link 
-                    to={`/products?category=${product.category}`}
-                    className="text-neon-accent hover:underline font-semibold transition-colors duration-300 hover:text-neon-accent-dark"
-                  >
-                    {product.category}
-                  </Link>
+                  {categoryPath.length > 0 ? categoryPath.map((node, index) => (
+                    <span key={node.slug}>
+                      {index > 0 && <span className="mx-2 text-gray-400">/</span>}
+                      <Link 
+                        to={getCategoryUrl(node.slug)}
+                        className="text-neon-accent hover:underline font-semibold transition-colors duration-300 hover:text-neon-accent-dark"
+                      >
+                        {node.name}
+                      </Link>
+                    </span>
+                  )) : (
+                    <span className="text-gray-800 font-medium">{product.category}</span>
+                  )}
                 </div>
                 
                 <div className="flex items-center">
@@ -1,57 +1,109 @@
-import { useState, useEffect, useRef } from 'react';
-import { useLocation, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import ProductCard from '../components/ProductCard';
 import Breadcrumb from '../components/Breadcrumb';
+import Highlight from '../components/Highlight';
+import catalog from '../utils/catalog';
+import { normalizeText } from '../utils/searchEngine';
+import { getPricing } from '../utils/pricing';
+import { PRODUCT_SORTS } from '../utils/productQuery';
+import { useProductQuery } from '../utils/productQueryClient';
+import { getTrendingSearches, trackSearch, trackSearchClick } from '../utils/searchAnalytics';
+import { useRecentSearches } from '../utils/recentSearches';
+import { useListNavigation } from '../utils/listNavigation';
+import { useAuth } from '../utils/AuthContext';
+import SearchShortcuts from '../components/SearchShortcuts';
+import IncrementalGrid from '../components/IncrementalGrid';
+import BrandLogo from '../components/BrandLogo';
+import { PRODUCT_FACETS, getOptionLabel } from '../utils/facets';
+import { getCategoryByName } from '../utils/categoryTree';
 
-const Products = () => {
-  const location = useLocation();
-  const queryParams = new URLSearchParams(location.search);
-  const initialCategory = queryParams.get('category') || '';
-  
+// Show what the customer actually pays, including active sales
+const effectivePrice = (product) => getPricing(product).price;
+
+const SORT_OPTIONS = Object.keys(PRODUCT_SORTS);
+
+// Pass `brand` (details from utils/brands.jsx) to list only that brand's
+// products, as /brand/:slug does
+const Products = ({ brand = null }) => {
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
   const [categories, setCategories] = useState([]);
   const [brands, setBrands] = useState([]);
   
-  // Filter states
-  const [selectedCategory, setSelectedCategory] = useState(initialCategory);
-  const [selectedBrand, setSelectedBrand] = useState('');
-  const [priceRange, setPriceRange] = useState({ min: 0, max: 5000 });
-  const [sortBy, setSortBy] = useState('default');
-  const [searchQuery, setSearchQuery] = useState('');
+  // Filters live in the query string so filtered views can be bookmarked,
+  // shared and restored with Back: ?q=&sort= plus one repeated parameter per
+  // facet, e.g. ?category=Dairy&category=Beverages&price=under-150&inStock=1
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchQuery = searchParams.get('q') || '';
+  const sortBy = SORT_OPTIONS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'default';
+  // A brand page has no use for the brand facet
+  const facets = useMemo(
+    () => (brand ? PRODUCT_FACETS.filter(facet => facet.key !== 'brand') : PRODUCT_FACETS),
+    [brand]
+  );
+  const selections = useMemo(() => Object.fromEntries(
+    facets.map(facet => [facet.key, searchParams.getAll(facet.key)])
+  ), [facets, searchParams]);
+  const selectedCategories = selections.category;
+  
+  // Change some filters, dropping any that are back at their default. Arrays
+  // become repeated parameters. Typing replaces the history entry instead of
+  // adding one per keystroke.
+  const updateFilters = (changes, { replace = false } = {}) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        next.delete(key);
+        [].concat(value ?? []).filter(item => item !== '').forEach(item => next.append(key, String(item)));
+      });
+      return next;
+    }, { replace });
+  };
+  
+  const toggleOption = (key, value) => {
+    const selected = selections[key] || [];
+    updateFilters({
+      [key]: selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value]
+    });
+  };
+  const setSortBy = (sort) => updateFilters({ sort: sort === 'default' ? '' : sort });
+  const setSearchQuery = (q) => updateFilters({ q }, { replace: true });
+  
   const [searchSuggestions, setSearchSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
-  const [selectedSuggestionIndex, setSelectedSuggestionIndex] = useState(-1);
+  const [trendingSearches, setTrendingSearches] = useState([]);
+  const { user } = useAuth();
+  const recentSearches = useRecentSearches(user?.email);
   const searchRef = useRef(null);
   
   // Load products
   useEffect(() => {
     const loadProducts = async () => {
       try {
-        const allProducts = await import('../data/products.json')
-          .then(module => module.default);
-        
-        setProducts(allProducts);
-        
-        // Extract unique categories and brands
-        const uniqueCategories = [...new Set(allProducts.map(p => p.category))];
-        const uniqueBrands = [...new Set(allProducts.map(p => p.brand))];
+        const [allProducts, uniqueCategories, uniqueBrands] = await Promise.all([
+          catalog.getAll(),
+          catalog.getCategories(),
+          catalog.getBrands()
+        ]);
         
-        setCategories(uniqueCategories);
+        if (brand) {
+          const brandProducts = allProducts.filter(product => product.brand === brand.name);
+          setProducts(brandProducts);
+          setCategories([...new Set(brandProducts.map(product => product.category))]);
+        } else {
+          setProducts(allProducts);
+          setCategories(uniqueCategories);
+        }
         setBrands(uniqueBrands);
         
-        // Find max price for range slider
-        const maxPrice = Math.max(...allProducts.map(p => p.price));
-        setPriceRange({ min: 0, max: maxPrice });
-        
       } catch (error) {
         console.error('Error loading products:', error);
       }
     };
     
     loadProducts();
-  }, []);
+  }, [brand]);
   
   // Handle clicks outside of search suggestions dropdown
   useEffect(() => {
@@ -67,135 +119,116 @@ const Products = () => {
     };
   }, []);
 
-  // Handle search input changes and generate suggestions
-  const handleSearchChange = (e) => {
-    const query = e.target.value;
+  // The empty box offers recent and trending searches instead of suggestions
+  const showShortcuts = !searchQuery.trim();
+  const shortcutQueries = [
+    ...recentSearches.searches,
+    ...trendingSearches.filter(query =>
+      !recentSearches.searches.some(recent => normalizeText(recent) === normalizeText(query))
+    )
+  ];
+  const dropdownItems = showShortcuts ? shortcutQueries : searchSuggestions;
+  
+  const applySearch = (query) => {
     setSearchQuery(query);
-    setSelectedSuggestionIndex(-1); // Reset selection when input changes
-    
-    if (query.trim() === '') {
-      setSearchSuggestions([]);
-      setShowSuggestions(false);
-      return;
-    }
-    
-    const lowercaseQuery = query.toLowerCase();
-    const suggestions = products.filter(p => 
-      p.name.toLowerCase().includes(lowercaseQuery) || 
-      p.brand.toLowerCase().includes(lowercaseQuery) ||
-      p.category.toLowerCase().includes(lowercaseQuery)
-    ).slice(0, 5); // Limit to 5 suggestions
-    
-    setSearchSuggestions(suggestions);
-    setShowSuggestions(true);
+    recentSearches.add(query);
+    setShowSuggestions(false);
   };
   
   // Handle keyboard navigation for search suggestions
-  const handleKeyDown = (e) => {
-    if (!showSuggestions || searchSuggestions.length === 0) return;
-    
-    // Arrow down - move selection down
-    if (e.key === 'ArrowDown') {
-      e.preventDefault();
-      setSelectedSuggestionIndex(prevIndex => 
-        prevIndex < searchSuggestions.length - 1 ? prevIndex + 1 : 0
-      );
-    }
-    
-    // Arrow up - move selection up
-    else if (e.key === 'ArrowUp') {
-      e.preventDefault();
-      setSelectedSuggestionIndex(prevIndex => 
-        prevIndex > 0 ? prevIndex - 1 : searchSuggestions.length - 1
-      );
-    }
-    
-    // Enter - select the highlighted suggestion
-    else if (e.key === 'Enter' && selectedSuggestionIndex >= 0) {
-      e.preventDefault();
-      const selectedProduct = searchSuggestions[selectedSuggestionIndex];
-      setSearchQuery(selectedProduct.name);
+  const {
+    activeIndex: selectedSuggestionIndex,
+    setActiveIndex: setSelectedSuggestionIndex,
+    handleKeyDown: handleListKeyDown
+  } = useListNavigation({
+    itemCount: dropdownItems.length,
+    isOpen: showSuggestions,
+    onSelect: (index) => {
+      if (showShortcuts) {
+        applySearch(shortcutQueries[index]);
+        return;
+      }
+      const selectedProduct = searchSuggestions[index];
+      trackSearchClick({ source: 'products', product: selectedProduct, position: index + 1 });
+      recentSearches.add(searchQuery);
       setShowSuggestions(false);
       // Navigate to the product page
       window.location.href = `/product/${selectedProduct.id}`;
-    }
-    
-    // Escape - close suggestions
-    else if (e.key === 'Escape') {
+    },
+    onClose: () => setShowSuggestions(false)
+  });
+  
+  // Enter without a highlighted suggestion keeps the typed search
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && selectedSuggestionIndex < 0 && searchQuery.trim()) {
+      recentSearches.add(searchQuery);
       setShowSuggestions(false);
+      return;
     }
+    handleListKeyDown(e);
   };
   
-  // Highlight matching text in search results
-  const highlightMatch = (text, query) => {
-    if (!query.trim()) return text;
-    
-    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    const parts = text.split(regex);
-    
-    return parts.map((part, index) => 
-      regex.test(part) ? <span key={index} className="bg-yellow-100 text-gray-800">{part}</span> : part
-    );
+  const handleSearchFocus = () => {
+    setTrendingSearches(getTrendingSearches());
+    setShowSuggestions(true);
   };
-
-  // Apply filters and sorting
-  useEffect(() => {
-    let result = [...products];
-    
-    // Apply category filter
-    if (selectedCategory) {
-      result = result.filter(p => p.category === selectedCategory);
-    }
+  
+  // Handle search input changes and generate suggestions
+  const handleSearchChange = async (e) => {
+    const query = e.target.value;
+    setSearchQuery(query);
+    setSelectedSuggestionIndex(-1); // Reset selection when input changes
+    setShowSuggestions(true);
     
-    // Apply brand filter
-    if (selectedBrand) {
-      result = result.filter(p => p.brand === selectedBrand);
+    if (query.trim() === '') {
+      setSearchSuggestions([]);
+      return;
     }
     
-    // Apply price filter
-    result = result.filter(p => 
-      p.price >= priceRange.min && p.price <= priceRange.max
-    );
-    
-    // Apply search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      result = result.filter(p => 
-        p.name.toLowerCase().includes(query) || 
-        p.brand.toLowerCase().includes(query) ||
-        p.category.toLowerCase().includes(query)
-      );
-    }
+    // Limit to 5 suggestions, from this brand only on a brand page
+    const suggestions = brand
+      ? (await catalog.search(query)).filter(product => product.brand === brand.name).slice(0, 5)
+      : await catalog.search(query, { limit: 5 });
     
-    // Apply sorting
-    switch (sortBy) {
-      case 'price-asc':
-        result.sort((a, b) => a.price - b.price);
-        break;
-      case 'price-desc':
-        result.sort((a, b) => b.price - a.price);
-        break;
-      case 'name-asc':
-        result.sort((a, b) => a.name.localeCompare(b.name));
-        break;
-      case 'name-desc':
-        result.sort((a, b) => b.name.localeCompare(a.name));
-        break;
-      default:
-        // Default sorting (by id or featured)
-        break;
+    setSearchSuggestions(suggestions);
+  };
+  
+  // Searching, filtering and sorting run in a worker; a search also orders
+  // the list by relevance
+  const {
+    products: filteredProducts,
+    matchCount,
+    facetCounts,
+    pending
+  } = useProductQuery(products, { query: searchQuery, selections, sort: sortBy });
+  
+  // Options offered by each facet and how many products each would show
+  // with the other filters applied
+  const facetOptions = useMemo(() => facets.map(facet => {
+    const counts = facetCounts[facet.key] || {};
+    const values = facet.key === 'category' ? categories : facet.key === 'brand' ? brands : null;
+    const options = facet.options || values.map(value => ({ value, label: value }));
+    return {
+      ...facet,
+      options: options.map(option => ({ ...option, count: counts[option.value] || 0 }))
+    };
+  }), [facets, facetCounts, categories, brands]);
+  
+  // Log what was searched for once its results are in
+  useEffect(() => {
+    if (products.length > 0 && !pending && searchQuery.trim()) {
+      trackSearch({ source: 'products', query: searchQuery, resultCount: matchCount });
     }
-    
-    setFilteredProducts(result);
-  }, [products, selectedCategory, selectedBrand, priceRange, sortBy, searchQuery]);
+  }, [products.length, pending, searchQuery, matchCount]);
+  
+  // Removable chips for every applied filter
+  const appliedFilters = facets.flatMap(facet =>
+    (selections[facet.key] || []).map(value => ({ key: facet.key, value, label: getOptionLabel(facet, value) }))
+  );
   
   // Reset filters
   const resetFilters = () => {
-    setSelectedCategory('');
-    setSelectedBrand('');
-    setPriceRange({ min: 0, max: Math.max(...products.map(p => p.price)) });
-    setSortBy('default');
-    setSearchQuery('');
+    setSearchParams({});
     setSearchSuggestions([]);
     setShowSuggestions(false);
     setSelectedSuggestionIndex(-1);
@@ -204,15 +237,37 @@ const Products = () => {
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
       <div className="container mx-auto px-4 py-8">
-        <Breadcrumb 
-          items={[
-            { label: 'Home', path: '/' },
-            { label: 'Products', path: '/products' },
-            selectedCategory ? { label: selectedCategory, path: `/products?category=${selectedCategory}` } : null
-          ].filter(Boolean)}
-        />
+        {brand ? (
+          <Breadcrumb 
+            items={[
+              { label: 'Home', path: '/' },
+              { label: 'Brands', path: '/brands' },
+              { label: brand.name }
+            ]}
+          />
+        ) : selectedCategories.length === 1 && getCategoryByName(selectedCategories[0]) ? (
+          <Breadcrumb category={getCategoryByName(selectedCategories[0]).slug} />
+        ) : (
+          <Breadcrumb 
+            items={[
+              { label: 'Home', path: '/' },
+              { label: 'Products', path: '/products' }
+            ]}
+          />
+        )}
         
-        <h1 className="text-4xl font-bold mb-8 text-center bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">Explore Our Products</h1>
+        {brand ? (
+          <div className="flex flex-col sm:flex-row items-center gap-6 mb-8 max-w-3xl mx-auto bg-white p-6 rounded-xl shadow-md border border-gray-100">
+            <BrandLogo brand={brand} className="w-24 h-24" />
+            <div className="text-center sm:text-left">
+              <h1 className="text-4xl font-bold mb-1 bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">{brand.name}</h1>
+              <p className="text-sm text-gray-500 mb-2">{brand.country}</p>
+              <p className="text-gray-700">{brand.description}</p>
+            </div>
+          </div>
+        ) : (
+          <h1 className="text-4xl font-bold mb-8 text-center bg-clip-text text-transparent bg-gradient-to-r from-neon-accent to-neon-accent-dark">Explore Our Products</h1>
+        )}
         
         {/* Search Bar */}
         <div className="mb-8 max-w-md mx-auto" ref={searchRef}>
@@ -222,13 +277,13 @@ const Products = () => {
               value={searchQuery}
               onChange={handleSearchChange}
               onKeyDown={handleKeyDown}
-              onFocus={() => searchQuery.trim() !== '' && setShowSuggestions(true)}
+              onFocus={handleSearchFocus}
               placeholder="Search products..."
               className="w-full px-4 py-3 rounded-full border-2 border-gray-200 focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent shadow-sm transition-all duration-300 hover:shadow-md"
               aria-expanded={showSuggestions}
               aria-autocomplete="list"
               aria-controls="search-suggestions"
-              aria-activedescendant={selectedSuggestionIndex >= 0 ? `suggestion-${selectedSuggestionIndex}` : ''}
+              aria-activedescendant={selectedSuggestionIndex >= 0 ? `${showShortcuts ? 'search-shortcut' : 'suggestion'}-${selectedSuggestionIndex}` : ''}
             />
             <button 
               className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-neon-accent transition-colors duration-300"
@@ -241,8 +296,26 @@ const Products = () => {
               {searchQuery ? 'Clear' : 'Search'}
             </button>
             
+            {/* Recent and Trending Searches */}
+            {showSuggestions && showShortcuts && shortcutQueries.length > 0 && (
+              <div
+                className="absolute z-50 mt-2 w-full bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden max-h-[80vh] sm:max-h-[60vh] overflow-y-auto"
+                id="search-suggestions"
+              >
+                <SearchShortcuts
+                  recent={recentSearches.searches}
+                  trending={shortcutQueries.slice(recentSearches.searches.length)}
+                  activeIndex={selectedSuggestionIndex}
+                  onSelect={applySearch}
+                  onRemove={recentSearches.remove}
+                  onClear={recentSearches.clear}
+                  onHover={setSelectedSuggestionIndex}
+                />
+              </div>
+            )}
+            
             {/* Search Suggestions Dropdown */}
-            {showSuggestions && searchSuggestions.length > 0 && (
+            {showSuggestions && !showShortcuts && searchSuggestions.length > 0 && (
               <div 
                 className="absolute z-50 mt-2 w-full bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden max-h-[80vh] sm:max-h-[60vh] overflow-y-auto"
                 id="search-suggestions"
@@ -268,7 +341,8 @@ const Products = () => {
                         aria-selected={selectedSuggestionIndex === index}
                         className={`block transition-colors duration-200 ${selectedSuggestionIndex === index ? 'bg-gray-100' : 'hover:bg-gray-50'}`}
                         onClick={() => {
-                          setSearchQuery(product.name);
+                          trackSearchClick({ source: 'products', product, position: index + 1 });
+                          recentSearches.add(searchQuery);
                           setShowSuggestions(false);
                         }}
                         onMouseEnter={() => setSelectedSuggestionIndex(index)}
@@ -287,10 +361,10 @@ const Products = () => {
                           </div>
                           <div className="ml-2 sm:ml-3 flex-1">
                             <p className="font-medium text-gray-800 line-clamp-1 text-sm sm:text-base">
-                              {highlightMatch(product.name, searchQuery)}
+                              <Highlight text={product.name} query={searchQuery} />
                             </p>
                             <p className="text-xs sm:text-sm text-gray-500">
-                              {highlightMatch(product.brand, searchQuery)} · ₹{product.price} · {highlightMatch(product.category, searchQuery)}
+                              <Highlight text={product.brand} query={searchQuery} /> · ₹{effectivePrice(product)} · <Highlight text={product.category} query={searchQuery} />
                             </p>
                           </div>
                           {selectedSuggestionIndex === index && (
@@ -327,90 +401,33 @@ const Products = () => {
         <div className="flex flex-col md:flex-row gap-8">
           {/* Filters Sidebar */}
           <div className="w-full md:w-72 bg-white p-6 rounded-xl shadow-lg border border-gray-100 transition-all duration-300 hover:shadow-xl">
-            <div className="mb-8 bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all duration-300">
-              <h3 className="font-semibold text-xl mb-5 text-transparent bg-clip-text bg-gradient-to-r from-neon-accent to-neon-accent-dark pb-2 border-b border-gray-200">Categories</h3>
-              <div className="space-y-3 px-2">
-                <div className="flex items-center hover:bg-gray-50 p-2 rounded-lg transition-all duration-200">
-                  <input
-                    type="radio"
-                    id="category-all"
-                    name="category"
-                    checked={selectedCategory === ''}
-                    onChange={() => setSelectedCategory('')}
-                    className="mr-3 h-4 w-4 accent-neon-accent cursor-pointer"
-                  />
-                  <label htmlFor="category-all" className="font-medium cursor-pointer select-none">All Categories</label>
-                </div>
-                
-                {categories.map(category => (
-                  <div key={category} className="flex items-center hover:bg-gray-50 p-2 rounded-lg transition-all duration-200">
-                    <input
-                      type="radio"
-                      id={`category-${category}`}
-                      name="category"
-                      checked={selectedCategory === category}
-                      onChange={() => setSelectedCategory(category)}
-                      className="mr-3 h-4 w-4 accent-neon-accent cursor-pointer"
-                    />
-                    <label htmlFor={`category-${category}`} className="font-medium cursor-pointer select-none">{category}</label>
-                  </div>
-                ))}
-              </div>
-            </div>
-            
-            <div className="mb-8 bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all duration-300">
-              <h3 className="font-semibold text-xl mb-5 text-transparent bg-clip-text bg-gradient-to-r from-neon-accent to-neon-accent-dark pb-2 border-b border-gray-200">Brands</h3>
-              <div className="space-y-3 px-2">
-                <div className="flex items-center hover:bg-gray-50 p-2 rounded-lg transition-all duration-200">
-                  <input
-                    type="radio"
-                    id="brand-all"
-                    name="brand"
-                    checked={selectedBrand === ''}
-                    onChange={() => setSelectedBrand('')}
-                    className="mr-3 h-4 w-4 accent-neon-accent cursor-pointer"
-                  />
-                  <label htmlFor="brand-all" className="font-medium cursor-pointer select-none">All Brands</label>
-                </div>
-                
-                {brands.map(brand => (
-                  <div key={brand} className="flex items-center hover:bg-gray-50 p-2 rounded-lg transition-all duration-200">
-                    <input
-                      type="radio"
-                      id={`brand-${brand}`}
-                      name="brand"
-                      checked={selectedBrand === brand}
-                      onChange={() => setSelectedBrand(brand)}
-                      className="mr-3 h-4 w-4 accent-neon-accent cursor-pointer"
-                    />
-                    <label htmlFor={`brand-${brand}`} className="font-medium cursor-pointer select-none">{brand}</label>
-                  </div>
-                ))}
-              </div>
-            </div>
-            
-            <div className="mb-8 bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all duration-300">
-              <h3 className="font-semibold text-xl mb-5 text-transparent bg-clip-text bg-gradient-to-r from-neon-accent to-neon-accent-dark pb-2 border-b border-gray-200">Price Range</h3>
-              <div className="px-2">
-                <div className="flex justify-between mb-4">
-                  <span className="font-medium text-gray-700 bg-gray-50 px-3 py-1.5 rounded-lg border border-gray-200">₹ {priceRange.min}</span>
-                  <span className="font-medium text-gray-700 bg-gray-50 px-3 py-1.5 rounded-lg border border-gray-200">₹ {priceRange.max}</span>
-                </div>
-                <div className="relative py-2">
-                  <div className="absolute inset-0 flex items-center px-2">
-                    <div className="h-1 w-full bg-gray-200 rounded-full"></div>
-                  </div>
-                  <input
-                    type="range"
-                    min="0"
-                    max={Math.max(...products.map(p => p.price))}
-                    value={priceRange.max}
-                    onChange={(e) => setPriceRange({ ...priceRange, max: Number(e.target.value) })}
-                    className="w-full accent-neon-accent h-2 rounded-lg appearance-none cursor-pointer relative z-10 bg-transparent"
-                  />
+            {facetOptions.map(facet => (
+              <div key={facet.key} className="mb-8 bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all duration-300">
+                <h3 className="font-semibold text-xl mb-5 text-transparent bg-clip-text bg-gradient-to-r from-neon-accent to-neon-accent-dark pb-2 border-b border-gray-200">{facet.label}</h3>
+                <div className="space-y-1 px-2">
+                  {facet.options.map(option => {
+                    const id = `${facet.key}-${option.value}`;
+                    const checked = selections[facet.key].includes(option.value);
+                    // Options that would show nothing stay visible but can't be picked
+                    const disabled = option.count === 0 && !checked;
+                    return (
+                      <div key={option.value} className={`flex items-center p-2 rounded-lg transition-all duration-200 ${disabled ? 'opacity-50' : 'hover:bg-gray-50'}`}>
+                        <input
+                          type="checkbox"
+                          id={id}
+                          checked={checked}
+                          disabled={disabled}
+                          onChange={() => toggleOption(facet.key, option.value)}
+                          className="mr-3 h-4 w-4 accent-neon-accent cursor-pointer disabled:cursor-not-allowed"
+                        />
+                        <label htmlFor={id} className={`flex-1 font-medium select-none ${disabled ? 'cursor-not-allowed' : 'cursor-pointer'}`}>{option.label}</label>
+                        <span className="ml-2 text-sm text-gray-500">{option.count}</span>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
-            </div>
+            ))}
             
             <button
               onClick={resetFilters}
@@ -443,6 +460,7 @@ const Products = () => {
                     <option value="default">Default</option>
                     <option value="price-asc">Price: Low to High</option>
                     <option value="price-desc">Price: High to Low</option>
+                    <option value="unit-price-asc">Unit Price: Low to High</option>
                     <option value="name-asc">Name: A to Z</option>
                     <option value="name-desc">Name: Z to A</option>
                   </select>
@@ -455,30 +473,73 @@ const Products = () => {
               </div>
             </div>
             
+            {/* Applied filters */}
+            {appliedFilters.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mb-6">
+                {appliedFilters.map(filter => (
+                  <button
+                    key={`${filter.key}-${filter.value}`}
+                    type="button"
+                    onClick={() => toggleOption(filter.key, filter.value)}
+                    className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-white border border-gray-200 shadow-sm text-sm font-medium text-gray-700 hover:border-black transition-colors duration-200"
+                    aria-label={`Remove filter ${filter.label}`}
+                  >
+                    {filter.label}
+                    <span aria-hidden="true" className="text-gray-400">×</span>
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateFilters(Object.fromEntries(facets.map(facet => [facet.key, []])))}
+                  className="text-sm font-medium text-neon-accent-dark hover:underline px-2"
+                >
+                  Clear all
+                </button>
+              </div>
+            )}
+            
             {/* Products */}
             <AnimatePresence>
               {filteredProducts.length > 0 ? (
-                <motion.div 
-                  className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8"
+                <motion.div
+                  key="results"
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   exit={{ opacity: 0 }}
-                  transition={{ duration: 0.5, staggerChildren: 0.1 }}
+                  transition={{ duration: 0.5 }}
+                  aria-busy={pending}
                 >
-                  {filteredProducts.map(product => (
-                    <motion.div
-                      key={product.id}
-                      initial={{ opacity: 0, scale: 0.9 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      transition={{ duration: 0.3 }}
-                      className="transform transition-all duration-300 hover:scale-105"
-                    >
-                      <ProductCard product={product} />
-                    </motion.div>
-                  ))}
+                  {/* Cards are added a batch at a time as the grid scrolls */}
+                  <IncrementalGrid
+                    items={filteredProducts}
+                    getKey={product => product.id}
+                    resetKey={searchParams.toString()}
+                    className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8"
+                    renderItem={(product, index) => (
+                      <motion.div
+                        initial={{ opacity: 0, scale: 0.9 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ duration: 0.3 }}
+                        className="transform transition-all duration-300 hover:scale-105"
+                      >
+                        <ProductCard
+                          product={product}
+                          onSelect={searchQuery.trim() ? () => {
+                            trackSearchClick({ source: 'products', product, position: index + 1 });
+                            recentSearches.add(searchQuery);
+                          } : undefined}
+                        />
+                      </motion.div>
+                    )}
+                  />
                 </motion.div>
+              ) : pending ? (
+                <div key="loading" className="flex justify-center py-16">
+                  <div className="w-16 h-16 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+                </div>
               ) : (
                 <motion.div 
+                  key="empty"
                   className="text-center py-16 bg-white rounded-xl shadow-md border border-gray-100 p-8"
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
@@ -0,0 +1,343 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import Breadcrumb from '../components/Breadcrumb';
+import AddressFields from '../components/AddressFields';
+import { useAuth } from '../utils/AuthContext';
+import { getDeliveryArea } from '../utils/delivery';
+import {
+  emptyAddress,
+  getAddresses,
+  removeAddress,
+  saveAddress,
+  setDefaultAddress,
+  validateAddress
+} from '../utils/addressBook';
+import { isValidPhone } from '../utils/phone';
+
+const Profile = () => {
+  const { user, updateProfile, changeEmail } = useAuth();
+  const navigate = useNavigate();
+
+  const [details, setDetails] = useState({ name: user.name || '', phone: user.phone || '' });
+  const [detailErrors, setDetailErrors] = useState({});
+  const [newEmail, setNewEmail] = useState('');
+  const [isChangingEmail, setIsChangingEmail] = useState(false);
+  const [isSendingCode, setIsSendingCode] = useState(false);
+
+  const [addresses, setAddresses] = useState(() => getAddresses(user.email));
+  // Address being added or edited, null while the form is closed
+  const [editingAddress, setEditingAddress] = useState(null);
+  const [addressErrors, setAddressErrors] = useState({});
+
+  // Pick up changes made elsewhere, e.g. after an email change
+  useEffect(() => {
+    setDetails({ name: user.name || '', phone: user.phone || '' });
+    setAddresses(getAddresses(user.email));
+  }, [user]);
+
+  const inputClass = (hasError) => `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent ${hasError ? 'border-red-500' : 'border-gray-300'}`;
+
+  const isValidEmail = (email) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  };
+
+  const handleDetailsSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!details.name.trim()) errors.name = 'Please enter your name';
+    if (details.phone.trim() && !isValidPhone(details.phone)) {
+      errors.phone = 'Please enter a valid mobile number, e.g. 03001234567';
+    }
+    setDetailErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      toast.error(Object.values(errors)[0]);
+      return;
+    }
+
+    try {
+      await updateProfile(details);
+      toast.success('Profile updated');
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      setDetailErrors({ phone: error.message });
+      toast.error(error.message || 'Could not update your profile');
+    }
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    const email = newEmail.trim().toLowerCase();
+
+    if (!isValidEmail(email)) {
+      toast.error('Please enter a valid email address');
+      return;
+    }
+    if (email === user.email.toLowerCase()) {
+      toast.error('That is already your email address');
+      return;
+    }
+
+    setIsSendingCode(true);
+    try {
+      const emailSent = await changeEmail(email);
+      if (emailSent) {
+        toast.success(`Verification code sent to ${email}`);
+      }
+      navigate('/verify');
+    } catch (error) {
+      console.error('Change email error:', error);
+      toast.error(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSendingCode(false);
+    }
+  };
+
+  const openAddressForm = (address = null) => {
+    setAddressErrors({});
+    setEditingAddress(address
+      ? { ...emptyAddress, ...address }
+      : { ...emptyAddress, label: addresses.length > 0 ? 'Other' : 'Home', fullName: user.name, phone: user.phone || '' });
+  };
+
+  const handleAddressSubmit = (e) => {
+    e.preventDefault();
+    const errors = validateAddress(editingAddress);
+    setAddressErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      toast.error(Object.values(errors)[0]);
+      return;
+    }
+
+    setAddresses(saveAddress(user.email, editingAddress));
+    toast.success(editingAddress.id ? 'Address updated' : 'Address saved');
+    setEditingAddress(null);
+  };
+
+  const handleRemoveAddress = (address) => {
+    if (!window.confirm(`Remove your ${address.label} address?`)) return;
+    setAddresses(removeAddress(user.email, address.id));
+    toast.success('Address removed');
+  };
+
+  const handleSetDefault = (address) => {
+    setAddresses(setDefaultAddress(user.email, address.id));
+    toast.success(`${address.label} is now your default address`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-3xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'My Profile' }
+          ]}
+        />
+
+        <h1 className="text-3xl font-bold mb-8">My Profile</h1>
+
+        <motion.section
+          className="bg-white rounded-lg shadow-md p-6 mb-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <h2 className="text-xl font-semibold mb-4">Account Details</h2>
+
+          <form onSubmit={handleDetailsSubmit} noValidate>
+            <div className="grid sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="profile-name" className="block text-gray-700 mb-2">Full Name</label>
+                <input
+                  type="text"
+                  id="profile-name"
+                  value={details.name}
+                  onChange={(e) => setDetails(prev => ({ ...prev, name: e.target.value }))}
+                  className={inputClass(detailErrors.name)}
+                />
+                {detailErrors.name && <p className="mt-1 text-sm text-red-600">{detailErrors.name}</p>}
+              </div>
+              <div>
+                <label htmlFor="profile-phone" className="block text-gray-700 mb-2">Mobile Number</label>
+                <input
+                  type="tel"
+                  id="profile-phone"
+                  value={details.phone}
+                  onChange={(e) => setDetails(prev => ({ ...prev, phone: e.target.value }))}
+                  placeholder="e.g., 03001234567"
+                  className={inputClass(detailErrors.phone)}
+                />
+                {detailErrors.phone && <p className="mt-1 text-sm text-red-600">{detailErrors.phone}</p>}
+              </div>
+            </div>
+            <button
+              type="submit"
+              className="bg-black text-white px-6 py-2 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+            >
+              Save Changes
+            </button>
+          </form>
+
+          <div className="border-t mt-6 pt-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <span className="block text-gray-700">Email</span>
+                <span className="font-medium">{user.email}</span>
+                {user.isVerified && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-700 text-xs font-medium">Verified</span>
+                )}
+              </div>
+              {!isChangingEmail && (
+                <button
+                  type="button"
+                  onClick={() => setIsChangingEmail(true)}
+                  className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                >
+                  Change Email
+                </button>
+              )}
+            </div>
+
+            <AnimatePresence>
+              {isChangingEmail && (
+                <motion.form
+                  onSubmit={handleEmailSubmit}
+                  noValidate
+                  className="mt-4"
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: 'auto' }}
+                  exit={{ opacity: 0, height: 0 }}
+                >
+                  <label htmlFor="profile-email" className="block text-gray-700 mb-2">New Email</label>
+                  <input
+                    type="email"
+                    id="profile-email"
+                    value={newEmail}
+                    onChange={(e) => setNewEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    className={`${inputClass(false)} mb-2`}
+                  />
+                  <p className="text-sm text-gray-600 mb-4">
+                    We'll send a verification code to the new address. Your email stays the same until you verify it.
+                  </p>
+                  <div className="flex gap-3">
+                    <button
+                      type="submit"
+                      disabled={isSendingCode}
+                      className="bg-black text-white px-6 py-2 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300 disabled:opacity-50"
+                    >
+                      {isSendingCode ? 'Sending Code...' : 'Send Code'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setIsChangingEmail(false);
+                        setNewEmail('');
+                      }}
+                      className="px-6 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </motion.form>
+              )}
+            </AnimatePresence>
+          </div>
+        </motion.section>
+
+        <motion.section
+          className="bg-white rounded-lg shadow-md p-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4, delay: 0.1 }}
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold">Saved Addresses</h2>
+            {!editingAddress && (
+              <button
+                type="button"
+                onClick={() => openAddressForm()}
+                className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+              >
+                + Add Address
+              </button>
+            )}
+          </div>
+
+          {addresses.length === 0 && !editingAddress && (
+            <p className="text-gray-600">You haven't saved any addresses yet. Addresses you add here are offered at checkout.</p>
+          )}
+
+          {!editingAddress && (
+            <div className="space-y-3">
+              {addresses.map(address => (
+                <div key={address.id} className="p-4 rounded-lg border-2 border-gray-200">
+                  <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div>
+                      <span className="flex items-center gap-2 font-medium">
+                        {address.label}
+                        {address.isDefault && (
+                          <span className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">Default</span>
+                        )}
+                      </span>
+                      <span className="block text-sm text-gray-600">{address.fullName} · {address.phone}</span>
+                      <span className="block text-sm text-gray-600">
+                        {address.line}, {getDeliveryArea(address.areaId)?.name || 'Unknown area'}
+                      </span>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      {!address.isDefault && (
+                        <button type="button" onClick={() => handleSetDefault(address)} className="text-gray-600 hover:text-neon-accent">
+                          Set as default
+                        </button>
+                      )}
+                      <button type="button" onClick={() => openAddressForm(address)} className="text-gray-600 hover:text-neon-accent">
+                        Edit
+                      </button>
+                      <button type="button" onClick={() => handleRemoveAddress(address)} className="text-red-500 hover:text-red-700">
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {editingAddress && (
+            <form onSubmit={handleAddressSubmit} noValidate>
+              <AddressFields
+                address={editingAddress}
+                errors={addressErrors}
+                onChange={(field, value) => setEditingAddress(prev => ({ ...prev, [field]: value }))}
+                idPrefix="profile-address"
+                showLabel
+              />
+              <div className="flex gap-3 mt-6">
+                <button
+                  type="submit"
+                  className="bg-black text-white px-6 py-2 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+                >
+                  {editingAddress.id ? 'Update Address' : 'Save Address'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingAddress(null)}
+                  className="px-6 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </motion.section>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
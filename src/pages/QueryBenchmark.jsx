@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import Breadcrumb from '../components/Breadcrumb';
+import catalog from '../utils/catalog';
+import { generateProducts } from '../utils/productFixtures';
+import { createProductIndex, queryProducts } from '../utils/productQuery';
+
+// How long searching and filtering take on a catalog far bigger than ours.
+// Runs the same queryProducts the /products worker runs, here on the main
+// thread so each query can be timed on its own.
+
+const PRODUCT_COUNT = 10000;
+const BUDGET_MS = 50;
+const RUNS = 5;
+
+const SCENARIOS = [
+  { label: 'Everything, default order', params: {} },
+  { label: 'One category', params: { selections: { category: ['Dairy'] } } },
+  {
+    label: 'Two categories, price bucket and in stock, by price',
+    params: { selections: { category: ['Dairy', 'Beverages'], price: ['150-300'], inStock: ['1'] }, sort: 'price-asc' }
+  },
+  { label: 'Everything, by name', params: { sort: 'name-desc' } },
+  { label: 'Search "milk"', params: { query: 'milk' } },
+  { label: 'Search with a typo, vegan, by name', params: { query: 'olpr', selections: { dietary: ['vegan'] }, sort: 'name-asc' } },
+  { label: 'Synonym search "doodh", by unit price', params: { query: 'doodh', sort: 'unit-price-asc' } },
+  { label: 'Two-word search "shan masala"', params: { query: 'shan masala' } }
+];
+
+const time = (fn) => {
+  const start = performance.now();
+  const result = fn();
+  return { result, duration: performance.now() - start };
+};
+
+const formatMs = (ms) => `${ms.toFixed(1)} ms`;
+
+// Let the page repaint between steps
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const QueryBenchmark = () => {
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const runBenchmark = async () => {
+    setRunning(true);
+    setReport(null);
+    try {
+      const products = generateProducts(PRODUCT_COUNT, await catalog.getAll());
+      await nextFrame();
+      const { result: index, duration: indexDuration } = time(() => createProductIndex(products));
+
+      const scenarios = [];
+      for (const scenario of SCENARIOS) {
+        await nextFrame();
+        const runs = Array.from({ length: RUNS }, () => time(() => queryProducts(index, scenario.params)));
+        const durations = runs.map(run => run.duration).sort((a, b) => a - b);
+        scenarios.push({
+          ...scenario,
+          resultCount: runs[0].result.products.length,
+          median: durations[Math.floor(RUNS / 2)],
+          slowest: durations[RUNS - 1]
+        });
+      }
+
+      setReport({ productCount: products.length, indexDuration, scenarios });
+    } catch (error) {
+      console.error('Error running query benchmark:', error);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const allWithinBudget = report?.scenarios.every(scenario => scenario.slowest < BUDGET_MS);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-5xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Query Benchmark' }
+          ]}
+        />
+
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold">Query Benchmark</h1>
+            <p className="text-gray-600">
+              Searches and filters {PRODUCT_COUNT.toLocaleString('en-PK')} generated products. Every query should take under {BUDGET_MS} ms.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={runBenchmark}
+            disabled={running}
+            className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {running ? 'Running...' : report ? 'Run again' : 'Run benchmark'}
+          </button>
+        </div>
+
+        {report && (
+          <section className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="p-4 border-b">
+              <h2 className={`text-xl font-semibold ${allWithinBudget ? 'text-green-700' : 'text-red-600'}`}>
+                {allWithinBudget ? 'All queries within budget' : 'Some queries are over budget'}
+              </h2>
+              <p className="text-sm text-gray-600">
+                Indexing {report.productCount.toLocaleString('en-PK')} products took {formatMs(report.indexDuration)} (in the worker on /products). Each query ran {RUNS} times.
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">Query</th>
+                    <th className="px-4 py-2 font-medium text-right">Results</th>
+                    <th className="px-4 py-2 font-medium text-right">Median</th>
+                    <th className="px-4 py-2 font-medium text-right">Slowest</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.scenarios.map(scenario => (
+                    <tr key={scenario.label} className="border-t border-gray-100">
+                      <td className="px-4 py-2">{scenario.label}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{scenario.resultCount.toLocaleString('en-PK')}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{formatMs(scenario.median)}</td>
+                      <td className={`px-4 py-2 text-right tabular-nums ${scenario.slowest < BUDGET_MS ? '' : 'text-red-600 font-semibold'}`}>
+                        {formatMs(scenario.slowest)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueryBenchmark;
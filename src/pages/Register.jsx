@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../utils/AuthContext';
 import toast from 'react-hot-toast';
 import Breadcrumb from '../components/Breadcrumb';
+import { getReturnPath, withReturnTo } from '../utils/returnTo';
+import { isValidPhone } from '../utils/phone';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -14,15 +16,17 @@ const Register = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [networkStatus, setNetworkStatus] = useState('online');
   const [error, setError] = useState('');
-  const { login, user } = useAuth();
+  const { register, user } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnPath = getReturnPath(searchParams);
   
   // Redirect if already logged in
   useEffect(() => {
     if (user) {
-      navigate('/');
+      navigate(returnPath || '/', { replace: true });
     }
-  }, [user, navigate]);
+  }, [user, navigate, returnPath]);
   
   // Check network status
   useEffect(() => {
@@ -89,24 +93,27 @@ const Register = () => {
       return;
     }
     
+    if (formData.phone.trim() && !isValidPhone(formData.phone)) {
+      setError('Please enter a valid mobile number, e.g. 03001234567');
+      toast.error('Please enter a valid mobile number');
+      return;
+    }
+    
     setIsSubmitting(true);
     
     try {
-      // Generate a random 6-digit code
-      const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Call login function from AuthContext with additional user data (now async)
-      const emailSent = await login(formData.email, verificationCode, {
+      // AuthContext checks the email is free and sends a code; the account is created once verified
+      const emailSent = await register(formData.email, {
         name: formData.name,
         phone: formData.phone,
-        isNewUser: true
+        returnTo: returnPath
       });
       
       if (emailSent) {
-        toast.success('Account created! Verification code sent to your email');
+        toast.success('Check your email for a verification code');
       } else {
-        // Email wasn't sent but we still created the pending user
-        toast.warning('Account created! We had trouble sending the verification email, but you can still proceed with verification. If you don\'t receive the code, you can request a new one on the next screen.');
+        // Email wasn't sent but the registration is still pending
+        toast('We had trouble sending the verification email, but you can still proceed with verification. If you don\'t receive the code, you can request a new one on the next screen.', { icon: '⚠️' });
       }
       
       navigate('/verify');
@@ -183,10 +190,11 @@ const Register = () => {
                 name="phone"
                 value={formData.phone}
                 onChange={handleChange}
-                placeholder="Enter your phone number"
+                placeholder="e.g., 03001234567"
                 className="w-full px-4 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent"
                 disabled={isSubmitting}
               />
+              <p className="mt-2 text-sm text-gray-500">Add a mobile number to log in with a code by SMS.</p>
             </div>
             
             {error && (
@@ -221,7 +229,7 @@ const Register = () => {
           
           <p className="text-center mt-6 text-gray-600">
             Already have an account?{' '}
-            <Link to="/login" className="text-neon-accent font-medium hover:underline">
+            <Link to={withReturnTo('/login', returnPath)} className="text-neon-accent font-medium hover:underline">
               Login
             </Link>
           </p>
@@ -0,0 +1,275 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Breadcrumb from '../components/Breadcrumb';
+import ProductCard from '../components/ProductCard';
+import { useCatalog } from '../utils/catalog';
+import { trackSearch, trackSearchClick } from '../utils/searchAnalytics';
+import { useRecentSearches } from '../utils/recentSearches';
+import { useAuth } from '../utils/AuthContext';
+
+const PAGE_SIZE = 12;
+
+// Facets shown next to the results, each narrowing them to one value
+const FACETS = [
+  { key: 'category', label: 'Categories' },
+  { key: 'brand', label: 'Brands' }
+];
+
+// How many results have each value of `key`, e.g. { Dairy: 3, Beverages: 2 }
+const countBy = (products, key) => products.reduce((counts, product) => {
+  counts[product[key]] = (counts[product[key]] || 0) + 1;
+  return counts;
+}, {});
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+  const page = Math.max(1, Number(searchParams.get('page')) || 1);
+  const selected = Object.fromEntries(FACETS.map(({ key }) => [key, searchParams.get(key) || '']));
+
+  const { user } = useAuth();
+  const { add: addRecentSearch } = useRecentSearches(user?.email);
+
+  const [input, setInput] = useState(query);
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  const { data: results, loading } = useCatalog(c => c.search(query), [query], []);
+  const { data: suggestions } = useCatalog(
+    c => (query && !loading && results.length === 0 ? c.suggest(query) : []),
+    [query, loading, results.length],
+    []
+  );
+
+  useEffect(() => {
+    if (query && !loading) {
+      trackSearch({ source: 'search', query, resultCount: results.length });
+      addRecentSearch(query);
+    }
+  }, [query, loading, results.length, addRecentSearch]);
+
+  // Results narrowed by every facet, and facet counts that ignore their own selection
+  const matchesFacets = (product, except) => FACETS.every(({ key }) =>
+    key === except || !selected[key] || product[key] === selected[key]
+  );
+  const filtered = results.filter(product => matchesFacets(product));
+  const facetCounts = Object.fromEntries(FACETS.map(({ key }) => [
+    key,
+    countBy(results.filter(product => matchesFacets(product, key)), key)
+  ]));
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageStart = (currentPage - 1) * PAGE_SIZE;
+  const pageResults = filtered.slice(pageStart, pageStart + PAGE_SIZE);
+
+  // Change some parameters; anything but paging starts again from page 1
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // A new query starts without facets
+    setSearchParams(input.trim() ? { q: input.trim() } : {});
+  };
+
+  const goToPage = (nextPage) => {
+    updateParams({ page: nextPage > 1 ? String(nextPage) : '' });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const hasFacets = FACETS.some(({ key }) => selected[key]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="container mx-auto px-4 py-8">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Search' }
+          ]}
+        />
+
+        <form onSubmit={handleSubmit} className="mb-8 max-w-xl mx-auto flex gap-2" role="search">
+          <input
+            type="search"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Search products, brands or categories..."
+            aria-label="Search products"
+            className="flex-1 px-4 py-3 rounded-full border-2 border-gray-200 focus:outline-none focus:ring-2 focus:ring-neon-accent focus:border-transparent shadow-sm"
+          />
+          <button
+            type="submit"
+            className="bg-black text-white px-6 py-3 rounded-full font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+          >
+            Search
+          </button>
+        </form>
+
+        {!query ? (
+          <div className="text-center py-16 bg-white rounded-xl shadow-md border border-gray-100">
+            <h1 className="text-2xl font-bold mb-4">What are you looking for?</h1>
+            <p className="text-gray-600 mb-8">Search by product, brand or category. Roman Urdu works too, e.g. "doodh" or "chawal".</p>
+            <Link
+              to="/products"
+              className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+            >
+              Browse All Products
+            </Link>
+          </div>
+        ) : loading ? (
+          <div className="flex justify-center py-16">
+            <div className="w-16 h-16 border-4 border-neon-accent border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : results.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-xl shadow-md border border-gray-100 p-8">
+            <h1 className="text-2xl font-bold mb-4">No results for "{query}"</h1>
+            {suggestions.length > 0 && (
+              <p className="text-lg text-gray-700 mb-4">
+                Did you mean{' '}
+                {suggestions.map((suggestion, index) => (
+                  <span key={suggestion}>
+                    {index > 0 && (index === suggestions.length - 1 ? ' or ' : ', ')}
+                    <Link
+                      to={`/search?q=${encodeURIComponent(suggestion)}`}
+                      className="font-semibold text-neon-accent-dark hover:underline"
+                    >
+                      {suggestion}
+                    </Link>
+                  </span>
+                ))}
+                ?
+              </p>
+            )}
+            <p className="text-gray-500 mb-8">Check the spelling or try a more general word.</p>
+            <Link
+              to="/products"
+              className="bg-black text-white px-6 py-3 rounded-full text-lg font-semibold hover:bg-neon-accent hover:text-black transition-colors duration-300"
+            >
+              Browse All Products
+            </Link>
+          </div>
+        ) : (
+          <div className="flex flex-col md:flex-row gap-8">
+            {/* Facets */}
+            <aside className="w-full md:w-64 space-y-6">
+              {FACETS.map(({ key, label }) => (
+                <div key={key} className="bg-white p-5 rounded-xl shadow-sm border border-gray-100">
+                  <h2 className="font-semibold text-lg mb-3 pb-2 border-b border-gray-200">{label}</h2>
+                  <ul className="space-y-1">
+                    {Object.entries(facetCounts[key])
+                      .sort(([a], [b]) => a.localeCompare(b))
+                      .map(([value, count]) => (
+                        <li key={value}>
+                          <button
+                            type="button"
+                            onClick={() => updateParams({ [key]: selected[key] === value ? '' : value })}
+                            aria-pressed={selected[key] === value}
+                            className={`w-full flex justify-between items-center px-3 py-2 rounded-lg text-left transition-colors duration-200 ${
+                              selected[key] === value ? 'bg-neon-accent text-black font-semibold' : 'hover:bg-gray-50 text-gray-700'
+                            }`}
+                          >
+                            <span>{value}</span>
+                            <span className="text-sm text-gray-500">{count}</span>
+                          </button>
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              ))}
+              {hasFacets && (
+                <button
+                  type="button"
+                  onClick={() => updateParams(Object.fromEntries(FACETS.map(({ key }) => [key, ''])))}
+                  className="w-full px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+                >
+                  Clear Filters
+                </button>
+              )}
+            </aside>
+
+            {/* Results */}
+            <div className="flex-1">
+              <div className="mb-6 bg-white p-4 rounded-xl shadow-md border border-gray-100">
+                <h1 className="text-gray-700 font-medium">
+                  {filtered.length === 0 ? 'No' : `${pageStart + 1}–${pageStart + pageResults.length} of`}{' '}
+                  <span className="font-bold">{filtered.length}</span> {filtered.length === 1 ? 'result' : 'results'} for{' '}
+                  <span className="text-neon-accent-dark font-bold">"{query}"</span>
+                </h1>
+              </div>
+
+              {filtered.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-xl shadow-md border border-gray-100">
+                  <p className="text-gray-600">No results match these filters.</p>
+                </div>
+              ) : (
+                <motion.div
+                  key={`${currentPage}-${selected.category}-${selected.brand}`}
+                  className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8"
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  {pageResults.map((product, index) => (
+                    <ProductCard
+                      key={product.id}
+                      product={product}
+                      highlight={query}
+                      onSelect={() => trackSearchClick({ source: 'search', product, position: pageStart + index + 1 })}
+                    />
+                  ))}
+                </motion.div>
+              )}
+
+              {pageCount > 1 && (
+                <nav className="flex justify-center items-center gap-2 mt-10" aria-label="Search result pages">
+                  <button
+                    type="button"
+                    onClick={() => goToPage(currentPage - 1)}
+                    disabled={currentPage === 1}
+                    className="px-4 py-2 rounded-full border-2 border-gray-300 font-medium hover:border-black transition-colors duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  {Array.from({ length: pageCount }, (_, i) => i + 1).map(number => (
+                    <button
+                      key={number}
+                      type="button"
+                      onClick={() => goToPage(number)}
+                      aria-current={number === currentPage ? 'page' : undefined}
+                      className={`w-10 h-10 rounded-full font-medium transition-colors duration-300 ${
+                        number === currentPage ? 'bg-black text-white' : 'hover:bg-gray-200'
+                      }`}
+                    >
+                      {number}
+                    </button>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => goToPage(currentPage + 1)}
+                    disabled={currentPage === pageCount}
+                    className="px-4 py-2 rounded-full border-2 border-gray-300 font-medium hover:border-black transition-colors duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </nav>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,178 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import Breadcrumb from '../components/Breadcrumb';
+import { flushSearchEvents, localSearchEvents, summarizeSearchEvents } from '../utils/searchAnalytics';
+
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString('en-PK', {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const StatCard = ({ label, value }) => (
+  <div className="bg-white rounded-lg shadow-md p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-2xl font-bold">{value}</p>
+  </div>
+);
+
+// Table with a heading and a message for when there's nothing to show yet
+const ReportTable = ({ title, description, columns, rows, emptyMessage }) => (
+  <section className="bg-white rounded-lg shadow-md overflow-hidden">
+    <div className="p-4 border-b">
+      <h2 className="text-xl font-semibold">{title}</h2>
+      <p className="text-sm text-gray-600">{description}</p>
+    </div>
+    {rows.length === 0 ? (
+      <p className="p-4 text-gray-500">{emptyMessage}</p>
+    ) : (
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              {columns.map(column => (
+                <th key={column.label} className={`px-4 py-2 font-medium ${column.numeric ? 'text-right' : ''}`}>
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} className="border-t border-gray-100">
+                {columns.map(column => (
+                  <td key={column.label} className={`px-4 py-2 ${column.numeric ? 'text-right tabular-nums' : ''}`}>
+                    {column.render(row)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </section>
+);
+
+// What customers searched for in this browser while VITE_ANALYTICS_SINK=local
+const SearchReport = () => {
+  const [events, setEvents] = useState(() => {
+    flushSearchEvents();
+    return localSearchEvents.list();
+  });
+  const report = useMemo(() => summarizeSearchEvents(events), [events]);
+
+  const queryLink = (query) => (
+    <Link to={`/search?q=${encodeURIComponent(query)}`} className="font-medium hover:text-neon-accent-dark">
+      {query}
+    </Link>
+  );
+
+  const handleRefresh = () => {
+    flushSearchEvents();
+    setEvents(localSearchEvents.list());
+  };
+
+  const handleClear = () => {
+    localSearchEvents.clear();
+    setEvents([]);
+    toast.success('Search log cleared');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="container mx-auto max-w-5xl">
+        <Breadcrumb
+          items={[
+            { label: 'Home', path: '/' },
+            { label: 'Search Report' }
+          ]}
+        />
+
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold">Search Report</h1>
+            <p className="text-gray-600">Searches from the navbar, products page and search page in this browser.</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={handleRefresh}
+              className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+            >
+              Refresh
+            </button>
+            {events.length > 0 && (
+              <button
+                type="button"
+                onClick={handleClear}
+                className="px-4 py-2 rounded-full border-2 border-gray-300 font-semibold hover:border-black transition-colors duration-300"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <StatCard label="Searches" value={report.totals.searches} />
+          <StatCard label="Result clicks" value={report.totals.clicks} />
+          <StatCard label="Click-through rate" value={formatPercent(report.totals.clickThroughRate)} />
+          <StatCard label="Zero-result rate" value={formatPercent(report.totals.zeroResultRate)} />
+        </div>
+
+        <div className="space-y-8">
+          <ReportTable
+            title="Zero-result queries"
+            description="Candidates for new products or entries in src/data/synonyms.json."
+            emptyMessage="Every search found something."
+            rows={report.zeroResultQueries}
+            columns={[
+              { label: 'Query', render: row => queryLink(row.query) },
+              { label: 'Times', numeric: true, render: row => row.zeroResults },
+              { label: 'Last searched', numeric: true, render: row => formatDate(row.lastSearchedAt) }
+            ]}
+          />
+
+          <ReportTable
+            title="Top queries"
+            description="Most searched, with how many results they found and how often one was clicked."
+            emptyMessage="No searches yet."
+            rows={report.topQueries}
+            columns={[
+              { label: 'Query', render: row => queryLink(row.query) },
+              { label: 'Searches', numeric: true, render: row => row.searches },
+              { label: 'Avg. results', numeric: true, render: row => row.averageResults.toFixed(1) },
+              { label: 'Click-through', numeric: true, render: row => formatPercent(row.clickThroughRate) }
+            ]}
+          />
+
+          <ReportTable
+            title="Most clicked results"
+            description="Products picked from search results and where they appeared."
+            emptyMessage="No result clicks yet."
+            rows={report.topProducts}
+            columns={[
+              {
+                label: 'Product',
+                render: row => (
+                  <Link to={`/product/${row.productId}`} className="font-medium hover:text-neon-accent-dark">
+                    {row.productName}
+                  </Link>
+                )
+              },
+              { label: 'Clicks', numeric: true, render: row => row.clicks },
+              { label: 'Avg. position', numeric: true, render: row => row.averagePosition.toFixed(1) }
+            ]}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchReport;
@@ -1,9 +1,11 @@
-import React, { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../utils/AuthContext';
 import toast from 'react-hot-toast';
 import Breadcrumb from '../components/Breadcrumb';
+import { getSafeReturnPath } from '../utils/returnTo';
+import { formatPhone } from '../utils/phone';
 
 const Verify = () => {
   const [code, setCode] = useState(['', '', '', '', '', '']);
@@ -14,22 +16,27 @@ const Verify = () => {
   const [networkStatus, setNetworkStatus] = useState('online');
   const { verifyCode, pendingUser, resendCode } = useAuth();
   const navigate = useNavigate();
+  // Profile email changes reuse this page to confirm the new address
+  const isEmailChange = pendingUser?.purpose === 'email-change';
+  // New accounts only exist once their code is verified
+  const isRegistration = pendingUser?.purpose === 'register';
+  const returnPath = getSafeReturnPath(pendingUser?.returnTo);
+  // Phone logins get the code by SMS
+  const isSms = pendingUser?.channel === 'sms';
+  // Set once the code is accepted, so clearing pendingUser doesn't bounce to /login
+  const hasVerifiedRef = useRef(false);
 
+  // One element per digit input, filled in by their ref callbacks
   const inputRefs = useRef([]);
-  if (inputRefs.current.length !== 6) {
-    inputRefs.current = Array(6).fill().map(() => React.createRef());
-  }
 
   // Focus first input on mount
   useEffect(() => {
-    if (inputRefs.current[0]) {
-      inputRefs.current[0].current.focus();
-    }
+    inputRefs.current[0]?.focus();
   }, []);
 
   // Redirect if no pending verification
   useEffect(() => {
-    if (!pendingUser) {
+    if (!pendingUser && !hasVerifiedRef.current) {
       navigate('/login');
       toast.error('No verification in progress. Please login or register first.');
     }
@@ -88,7 +95,7 @@ const Verify = () => {
     
     // Auto-focus next input
     if (value && index < 5) {
-      inputRefs.current[index + 1].current.focus();
+      inputRefs.current[index + 1]?.focus();
     }
   };
   
@@ -96,7 +103,7 @@ const Verify = () => {
   const handleKeyDown = (index, e) => {
     // Move to previous input on backspace
     if (e.key === 'Backspace' && !code[index] && index > 0) {
-      inputRefs.current[index - 1].current.focus();
+      inputRefs.current[index - 1]?.focus();
     }
   };
   
@@ -111,7 +118,7 @@ const Verify = () => {
       setCode(digits);
       
       // Focus the last input
-      inputRefs.current[5].current.focus();
+      inputRefs.current[5]?.focus();
     }
   };
   
@@ -148,7 +155,8 @@ const Verify = () => {
         // Simulate API call delay
         setTimeout(async () => {
           try {
-            const success = verifyCode(verificationCode);
+            const success = await verifyCode(verificationCode);
+            hasVerifiedRef.current = success;
             resolve(success);
           } catch (err) {
             reject(err);
@@ -167,8 +175,13 @@ const Verify = () => {
       const success = await Promise.race([verificationPromise, timeoutPromise]);
       
       if (success) {
-        toast.success('Verification successful!');
-        navigate('/');
+        toast.success(
+          isEmailChange ? 'Email address updated!'
+            : isRegistration ? 'Account created! Welcome to WahabStore.'
+              : 'Verification successful!'
+        );
+        // Back to the page that asked the visitor to log in
+        navigate(returnPath || '/', { replace: true });
       } else {
         setError('Invalid verification code. Please check and try again.');
         toast.error('Invalid verification code. Please check and try again.');
@@ -203,10 +216,7 @@ const Verify = () => {
         // Simulate API call delay
         setTimeout(async () => {
           try {
-            // Generate a new random 6-digit code
-            const newVerificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-            
-            const success = resendCode(newVerificationCode);
+            const success = await resendCode();
             
             if (success) {
               // Reset timer
@@ -214,9 +224,7 @@ const Verify = () => {
               // Clear input fields
               setCode(['', '', '', '', '', '']);
               // Focus first input
-              if (inputRefs.current[0]) {
-                inputRefs.current[0].current.focus();
-              }
+              inputRefs.current[0]?.focus();
               resolve(true);
             } else {
               reject(new Error('Failed to resend verification code. Please try again.'));
@@ -237,7 +245,7 @@ const Verify = () => {
       // Race between resend and timeout
       await Promise.race([resendPromise, timeoutPromise]);
       
-      toast.success('New verification code sent to your email');
+      toast.success(`New verification code sent to your ${isSms ? 'phone' : 'email'}`);
     } catch (error) {
       console.error('Resend error:', error);
       const errorMessage = error.message || 'Failed to resend code. Please try again.';
@@ -259,7 +267,11 @@ const Verify = () => {
         <Breadcrumb 
           items={[
             { label: 'Home', path: '/' },
-            { label: 'Register', path: '/register' },
+            isEmailChange
+              ? { label: 'Profile', path: '/profile' }
+              : pendingUser.purpose === 'login'
+                ? { label: 'Login', path: '/login' }
+                : { label: 'Register', path: '/register' },
             { label: 'Verify' }
           ]}
         />
@@ -273,15 +285,19 @@ const Verify = () => {
           transition={{ duration: 0.5 }}
         >
           <div className="px-6 py-8">
-            <h2 className="text-3xl font-bold text-center text-gray-800 mb-2">Verify Your Email</h2>
+            <h2 className="text-3xl font-bold text-center text-gray-800 mb-2">Verify Your {isSms ? 'Phone' : 'Email'}</h2>
           
           <p className="text-center text-gray-600 mb-3">
             We've sent a 6-digit verification code to<br />
-            <span className="font-medium text-black">{pendingUser?.email || 'your email'}</span>
+            <span className="font-medium text-black">
+              {isSms ? formatPhone(pendingUser.phone) : pendingUser?.email || 'your email'}
+            </span>
           </p>
           
           <p className="text-center text-sm text-gray-500 mb-6">
-            Please check your inbox and spam folder. If you don't receive the code within a few minutes, you can request a new one.
+            {isSms
+              ? 'Please check your text messages. If you don\'t receive the code within a few minutes, you can request a new one.'
+              : 'Please check your inbox and spam folder. If you don\'t receive the code within a few minutes, you can request a new one.'}
           </p>
           
           {error && (
@@ -304,7 +320,7 @@ const Verify = () => {
                 {code.map((digit, index) => (
                   <input
                     key={index}
-                    ref={inputRefs[index]}
+                    ref={el => (inputRefs.current[index] = el)}
                     type="text"
                     maxLength="1"
                     value={digit}
@@ -362,7 +378,11 @@ const Verify = () => {
             </button>
             
             <div className="mt-4 text-sm text-gray-500">
-              <p>Having trouble? <Link to="/login" className="text-neon-accent hover:underline">Return to login</Link></p>
+              {isEmailChange ? (
+                <p>Changed your mind? <Link to="/profile" className="text-neon-accent hover:underline">Return to profile</Link></p>
+              ) : (
+                <p>Having trouble? <Link to="/login" className="text-neon-accent hover:underline">Return to login</Link></p>
+              )}
             </div>
           </div>
         </div>
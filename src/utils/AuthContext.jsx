@@ -1,33 +1,54 @@
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import toast from 'react-hot-toast';
-
-// Mock email service - in a real app, this would be an API call to a backend service
-const mockEmailService = {
-  sendVerificationEmail: async (email, code) => {
-    // Simulate network delay and potential failures
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate 90% success rate
-        if (Math.random() < 0.9) {
-          console.log(`Email sent to ${email} with code: ${code}`);
-          resolve({ success: true, message: 'Email sent successfully' });
-        } else {
-          console.error(`Failed to send email to ${email}`);
-          reject(new Error('Failed to send verification email. Server error.'));
-        }
-      }, 1500); // Simulate network delay
-    });
-  }
-};
+import { transferAddresses } from './addressBook';
+import { transferOrders } from './orders';
+import { transferRedemptions } from './promotions';
+import { transferRecentSearches } from './recentSearches';
+import { clearAllCheckoutProgress } from './checkoutProgress';
+import { sendEmail } from './emailTransport';
+import { sendSms } from './smsTransport';
+import { verificationEmail, verificationSms } from './messageTemplates';
+import { normalizePhone } from './phone';
+import { checkCode, isChallengeExpired, issueChallenge } from './verification';
+import { getUserRepository, normalizeEmail } from './userRepository';
+import {
+  ACTIVITY_SAVE_INTERVAL_MS,
+  SESSION_CHECK_INTERVAL_MS,
+  SESSION_STORAGE_KEY,
+  endSession,
+  extendSession as extendStoredSession,
+  getSessionStatus,
+  readSession,
+  startSession,
+  touchSession
+} from './session';
 
 const AuthContext = createContext();
 
+// Phone logins get their code by SMS, everything else by email
+const deliverCode = (pendingAuth, code) => (pendingAuth.channel === 'sms'
+  ? sendSms(verificationSms(pendingAuth.phone, code))
+  : sendEmail(verificationEmail(pendingAuth.email, code)));
+
+// The signed-in user kept in state and localStorage, built from a stored account
+const toSessionUser = (account, loginTime) => ({
+  email: account.email,
+  name: account.name,
+  phone: account.phone || '',
+  isVerified: true,
+  createdAt: account.createdAt,
+  loginTime
+});
+
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [pendingUser, setPendingUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // { reason, expiresAt } while the session is about to end, otherwise null
+  const [sessionWarning, setSessionWarning] = useState(null);
+  const lastActivitySaveRef = useRef(0);
   
   // Load user from localStorage on initial render
   useEffect(() => {
@@ -36,7 +57,31 @@ export const AuthProvider = ({ children }) => {
     
     if (savedUser) {
       try {
-        setUser(JSON.parse(savedUser));
+        const parsedUser = JSON.parse(savedUser);
+        // Sessions saved before timeouts existed start from their login time
+        const session = readSession() || startSession(parsedUser.loginTime || Date.now());
+        
+        if (getSessionStatus(session).state === 'expired') {
+          localStorage.removeItem('user');
+          endSession();
+          toast.error('Your session has expired. Please log in again.');
+          setIsLoading(false);
+          return;
+        }
+        
+        setUser(parsedUser);
+        
+        // Sessions from before the user directory existed get an account record
+        const users = getUserRepository();
+        users.find(parsedUser.email)
+          .then(account => account || users.create({
+            email: parsedUser.email,
+            name: parsedUser.name,
+            phone: parsedUser.phone || '',
+            createdAt: parsedUser.loginTime || Date.now(),
+            lastLoginAt: parsedUser.loginTime || Date.now()
+          }))
+          .catch(error => console.error('Error backfilling user account:', error));
       } catch (error) {
         console.error('Error parsing user data:', error);
         localStorage.removeItem('user');
@@ -46,8 +91,8 @@ export const AuthProvider = ({ children }) => {
     if (savedPendingUser) {
       try {
         const pending = JSON.parse(savedPendingUser);
-        // Check if not expired (10 minutes)
-        if (Date.now() - pending.timestamp < 10 * 60 * 1000) {
+        // Drop expired verifications, and any saved before codes were hashed
+        if (!isChallengeExpired(pending.challenge)) {
           setPendingUser(pending);
         } else {
           sessionStorage.removeItem('pendingAuth');
@@ -61,39 +106,118 @@ export const AuthProvider = ({ children }) => {
     setIsLoading(false);
   }, []);
   
-  // Save user to localStorage whenever it changes
+  // Save user to localStorage whenever it changes. Wait until it's loaded, or
+  // the initial null would log out every other open tab.
   useEffect(() => {
+    if (isLoading) return;
     if (user) {
       localStorage.setItem('user', JSON.stringify(user));
     } else {
       localStorage.removeItem('user');
     }
-  }, [user]);
+  }, [user, isLoading]);
+  
+  const expireSession = useCallback(() => {
+    setUser(null);
+    setSessionWarning(null);
+    endSession();
+    clearAllCheckoutProgress();
+    toast.error('Your session has expired. Please log in again.');
+  }, []);
+  
+  // Check the shared session; warn shortly before it ends
+  const checkSession = useCallback(() => {
+    const status = getSessionStatus(readSession());
+    if (status.state === 'expired') {
+      expireSession();
+    } else if (status.state === 'expiring') {
+      setSessionWarning({ reason: status.reason, expiresAt: status.expiresAt });
+    } else {
+      setSessionWarning(null);
+    }
+  }, [expireSession]);
+  
+  // While logged in, re-check on an interval and count activity against the idle timeout
+  useEffect(() => {
+    if (!user) return;
+    
+    checkSession();
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+    
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastActivitySaveRef.current < ACTIVITY_SAVE_INTERVAL_MS) return;
+      lastActivitySaveRef.current = now;
+      touchSession(now);
+    };
+    const activityEvents = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+    activityEvents.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    
+    return () => {
+      clearInterval(interval);
+      activityEvents.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [user, checkSession]);
   
-  // Simulate login process with email verification
-  const login = async (email, verificationCode, additionalData = {}) => {
+  // Keep every open tab in step: logging in, out or extending in one updates the rest
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'user') {
+        if (!event.newValue) {
+          setUser(prevUser => {
+            if (prevUser) toast('You have been logged out.');
+            return null;
+          });
+          setSessionWarning(null);
+          return;
+        }
+        try {
+          setUser(JSON.parse(event.newValue));
+        } catch (error) {
+          console.error('Error parsing user data from another tab:', error);
+        }
+      } else if (event.key === SESSION_STORAGE_KEY && event.newValue) {
+        checkSession();
+      }
+    };
+    
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [checkSession]);
+  
+  // "Stay signed in" from the expiry warning
+  const extendSession = () => {
+    extendStoredSession();
+    setSessionWarning(null);
+    toast.success('You\'re still signed in');
+  };
+  
+  // Start email verification: send a one-time code and remember only its hash.
+  // `purpose` in additionalData says what happens once the code is verified.
+  const startVerification = async (email, additionalData = {}) => {
     try {
-      // In a real app, this would be an API call to generate and send a verification code
+      const { code, challenge } = await issueChallenge();
       const pendingAuthData = {
         email,
-        verificationCode,
+        challenge,
         timestamp: Date.now(),
-        emailSent: false, // Track if email was successfully sent
-        attempts: 0, // Track number of verification attempts
+        emailSent: false, // Track if the code was successfully sent (by email or SMS)
         ...additionalData
       };
       
-      // Attempt to send verification email
+      // Attempt to send the code
       try {
-        await mockEmailService.sendVerificationEmail(email, verificationCode);
+        await deliverCode(pendingAuthData, code);
         pendingAuthData.emailSent = true;
       } catch (error) {
-        console.error('Error sending verification email:', error);
-        toast.error('There was a problem sending the verification email. Please try again or check your email address.');
+        console.error('Error sending verification code:', error);
+        toast.error(pendingAuthData.channel === 'sms'
+          ? 'There was a problem sending the verification SMS. Please try again or check your mobile number.'
+          : 'There was a problem sending the verification email. Please try again or check your email address.');
         // We still create the pending user but mark email as not sent
       }
       
-      // Store email and code in sessionStorage for verification step
+      // Store the email and hashed code in sessionStorage for the verification step
       sessionStorage.setItem('pendingAuth', JSON.stringify(pendingAuthData));
       setPendingUser(pendingAuthData);
       
@@ -105,8 +229,55 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
+  // Log in to an existing account
+  const login = async (email, additionalData = {}) => {
+    const account = await getUserRepository().find(email);
+    if (!account) {
+      throw new Error('No account found with this email. Please register first.');
+    }
+    return startVerification(account.email, { ...additionalData, purpose: 'login' });
+  };
+  
+  // Log in to an existing account with a code sent by SMS
+  const loginWithPhone = async (phone, additionalData = {}) => {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new Error('Please enter a valid mobile number, e.g. 03001234567');
+    }
+    const account = await getUserRepository().findByPhone(normalized);
+    if (!account) {
+      throw new Error('No account found with this mobile number. Please register first.');
+    }
+    return startVerification(account.email, {
+      ...additionalData,
+      purpose: 'login',
+      channel: 'sms',
+      phone: normalized
+    });
+  };
+  
+  // Create an account once the email is verified
+  const register = async (email, additionalData = {}) => {
+    const users = getUserRepository();
+    const existing = await users.find(email);
+    if (existing) {
+      throw new Error('An account with this email already exists. Please login instead.');
+    }
+    
+    const phone = additionalData.phone ? normalizePhone(additionalData.phone) : '';
+    if (phone && await users.findByPhone(phone)) {
+      throw new Error('An account with this mobile number already exists. Please login instead.');
+    }
+    return startVerification(email.trim(), { ...additionalData, phone: phone || '', purpose: 'register' });
+  };
+  
+  const clearPendingAuth = () => {
+    sessionStorage.removeItem('pendingAuth');
+    setPendingUser(null);
+  };
+  
   // Verify OTP code with improved error handling
-  const verifyCode = (code) => {
+  const verifyCode = async (code) => {
     try {
       const pendingAuth = pendingUser || JSON.parse(sessionStorage.getItem('pendingAuth') || 'null');
       
@@ -114,56 +285,73 @@ export const AuthProvider = ({ children }) => {
         throw new Error('No pending verification found. Please try logging in again.');
       }
       
-      // Check if verification code has expired (10 minutes)
-      const isExpired = Date.now() - pendingAuth.timestamp > 10 * 60 * 1000;
+      // An email change only makes sense for the account that asked for it,
+      // which may have logged out or timed out while the code was on its way
+      if (pendingAuth.purpose === 'email-change' &&
+        (!user || normalizeEmail(user.email) !== normalizeEmail(pendingAuth.previousEmail))) {
+        clearPendingAuth();
+        throw new Error('Please log in again to change your email.');
+      }
       
-      if (isExpired) {
-        // Clean up expired verification
-        sessionStorage.removeItem('pendingAuth');
-        setPendingUser(null);
+      const result = await checkCode(pendingAuth.challenge, code);
+      
+      if (result.status === 'expired') {
+        clearPendingAuth();
         throw new Error('Verification code has expired. Please try logging in again.');
       }
       
-      // Track verification attempts
-      const updatedPendingAuth = {
-        ...pendingAuth,
-        attempts: (pendingAuth.attempts || 0) + 1
-      };
-      
-      // Check if too many failed attempts (5 max)
-      if (updatedPendingAuth.attempts > 5) {
-        sessionStorage.removeItem('pendingAuth');
-        setPendingUser(null);
+      if (result.status === 'locked') {
+        clearPendingAuth();
         throw new Error('Too many failed attempts. Please try logging in again.');
       }
       
-      // Update attempts in session storage
-      sessionStorage.setItem('pendingAuth', JSON.stringify(updatedPendingAuth));
-      setPendingUser(updatedPendingAuth);
-      
-      // Check if the code matches
-      if (pendingAuth.verificationCode === code) {
-        // Set the user
-        const newUser = {
-          email: pendingAuth.email,
-          name: pendingAuth.name || pendingAuth.email.split('@')[0], // Use provided name or extract from email
-          phone: pendingAuth.phone || '',
-          isVerified: true,
-          loginTime: Date.now()
-        };
+      if (result.status === 'invalid') {
+        // Count the attempt against the stored challenge
+        const updatedPendingAuth = { ...pendingAuth, challenge: result.challenge };
+        sessionStorage.setItem('pendingAuth', JSON.stringify(updatedPendingAuth));
+        setPendingUser(updatedPendingAuth);
         
-        setUser(newUser);
-        sessionStorage.removeItem('pendingAuth');
-        setPendingUser(null);
-        return true;
-      } else {
         // If email wasn't sent successfully before, we might want to be more lenient
         // or provide a different error message
         if (!pendingAuth.emailSent) {
-          throw new Error('Invalid code. Note: There was an issue sending your verification email earlier.');
+          throw new Error(`Invalid code. Note: There was an issue sending your verification ${pendingAuth.channel === 'sms' ? 'SMS' : 'email'} earlier.`);
         }
         throw new Error('Invalid verification code. Please check and try again.');
       }
+      
+      const users = getUserRepository();
+      const now = Date.now();
+      
+      if (pendingAuth.purpose === 'email-change') {
+        // Keep the signed-in account and move its saved data to the new email
+        const previousEmail = pendingAuth.previousEmail;
+        await users.rename(previousEmail, pendingAuth.email);
+        transferAddresses(previousEmail, pendingAuth.email);
+        transferRedemptions(previousEmail, pendingAuth.email);
+        transferRecentSearches(previousEmail, pendingAuth.email);
+        transferOrders(previousEmail, pendingAuth.email).catch(error => {
+          console.error('Error moving order history:', error);
+        });
+        
+        setUser(prevUser => (prevUser ? { ...prevUser, email: pendingAuth.email, isVerified: true } : prevUser));
+      } else if (pendingAuth.purpose === 'register') {
+        const account = await users.create({
+          email: pendingAuth.email,
+          name: pendingAuth.name || pendingAuth.email.split('@')[0], // Use provided name or extract from email
+          phone: pendingAuth.phone || '',
+          createdAt: now,
+          lastLoginAt: now
+        });
+        startSession(now);
+        setUser(toSessionUser(account, now));
+      } else {
+        const account = await users.update(pendingAuth.email, { lastLoginAt: now });
+        startSession(now);
+        setUser(toSessionUser(account, now));
+      }
+      
+      clearPendingAuth();
+      return true;
     } catch (error) {
       console.error('Verification error:', error);
       // Don't show toast here - let the component handle the error display
@@ -171,22 +359,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
-  // Resend verification code with email service integration
-  const resendCode = async (newVerificationCode) => {
+  // Send a fresh code, replacing the previous one and resetting attempts
+  const resendCode = async () => {
     try {
       if (!pendingUser) {
         throw new Error('No pending verification found. Please try logging in again.');
       }
       
-      // Attempt to send verification email
-      await mockEmailService.sendVerificationEmail(pendingUser.email, newVerificationCode);
+      const { code, challenge } = await issueChallenge();
+      
+      // Attempt to send the code. If it fails, the previous code stays valid.
+      await deliverCode(pendingUser, code);
       
       const updatedPendingUser = {
         ...pendingUser,
-        verificationCode: newVerificationCode,
+        challenge,
         timestamp: Date.now(),
-        emailSent: true,
-        attempts: 0 // Reset attempts counter
+        emailSent: true
       };
       
       sessionStorage.setItem('pendingAuth', JSON.stringify(updatedPendingUser));
@@ -194,28 +383,51 @@ export const AuthProvider = ({ children }) => {
       return true;
     } catch (error) {
       console.error('Resend code error:', error);
-      
-      // Still update the code in case the user knows it through other means
-      // but mark email as not sent
-      if (pendingUser) {
-        const updatedPendingUser = {
-          ...pendingUser,
-          verificationCode: newVerificationCode,
-          timestamp: Date.now(),
-          emailSent: false
-        };
-        
-        sessionStorage.setItem('pendingAuth', JSON.stringify(updatedPendingUser));
-        setPendingUser(updatedPendingUser);
-      }
-      
       throw error;
     }
   };
   
+  // Update editable account details (name, phone)
+  // Phone numbers log in by SMS, so each one can belong to a single account
+  const updateProfile = async (updates) => {
+    if (!user) return false;
+    const changes = {
+      name: updates.name.trim(),
+      phone: normalizePhone(updates.phone) || ''
+    };
+    if (changes.phone) {
+      const owner = await getUserRepository().findByPhone(changes.phone);
+      if (owner && normalizeEmail(owner.email) !== normalizeEmail(user.email)) {
+        throw new Error('This mobile number is already used by another account.');
+      }
+    }
+    setUser(prevUser => ({ ...prevUser, ...changes }));
+    getUserRepository().update(user.email, changes).catch(error => {
+      console.error('Error saving profile:', error);
+    });
+    return true;
+  };
+  
+  // Send a code to the new address; the email only changes once it's verified
+  const changeEmail = async (newEmail) => {
+    if (!user) return false;
+    const existing = await getUserRepository().find(newEmail);
+    if (existing) {
+      throw new Error('An account with this email already exists.');
+    }
+    return startVerification(newEmail, {
+      purpose: 'email-change',
+      previousEmail: user.email,
+      returnTo: '/profile'
+    });
+  };
+  
   // Logout
   const logout = () => {
     setUser(null);
+    setSessionWarning(null);
+    endSession();
+    clearAllCheckoutProgress();
     setPendingUser(null);
     sessionStorage.removeItem('pendingAuth');
     toast.success('Logged out successfully');
@@ -226,9 +438,15 @@ export const AuthProvider = ({ children }) => {
     pendingUser,
     isLoading,
     isAuthenticated: !!user,
+    sessionWarning,
+    extendSession,
     login,
+    loginWithPhone,
+    register,
     verifyCode,
     resendCode,
+    updateProfile,
+    changeEmail,
     logout
   };
   
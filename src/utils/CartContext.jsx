@@ -1,19 +1,63 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
+import { getDefaultVariant, getLineId, getVariant, getVariantLabel } from './variants';
+import { clampQuantity, getStock, isLineOverStock, isOutOfStock, syncLineStock } from './inventory';
+import { getCartSavings, getPricing, syncLinePrices } from './pricing';
+import { evaluatePromotion, findPromotion } from './promotions';
+import { calculateDelivery } from './delivery';
+import { getLineName } from './orderChannels';
+import catalog from './catalog';
+import { useAuth } from './AuthContext';
 
 const CartContext = createContext();
 
+// Carts saved before variants existed have no lineId; key them by product id
+const normalizeLine = (item) => ({
+  ...item,
+  lineId: item.lineId || getLineId(item.id, item.variantId)
+});
+
+// New cart line for a product variant at its current price
+const buildLine = (product, variant, quantity) => {
+  const { price, originalPrice } = getPricing(product, variant);
+  return {
+    ...product,
+    lineId: getLineId(product.id, variant?.id),
+    variantId: variant?.id || null,
+    variantLabel: getVariantLabel(variant),
+    price,
+    originalPrice,
+    image: variant?.image || product.image,
+    stock: getStock(product, variant),
+    quantity
+  };
+};
+
 export const useCart = () => useContext(CartContext);
 
 export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const { user } = useAuth();
   
   // Load cart from localStorage on initial render
   useEffect(() => {
     const savedCart = localStorage.getItem('cart');
     if (savedCart) {
       try {
-        setCartItems(JSON.parse(savedCart));
+        const savedItems = JSON.parse(savedCart).map(normalizeLine);
+        setCartItems(savedItems);
+        
+        // Stock and sale prices may have changed since the cart was saved;
+        // re-price lines and flag any that now exceed available stock
+        catalog.getAll()
+          .then(products => {
+            setCartItems(prevItems => syncLinePrices(syncLineStock(prevItems, products), products));
+            if (syncLineStock(savedItems, products).some(isLineOverStock)) {
+              toast.error('Some items in your cart are no longer available in the quantity you chose');
+            }
+          })
+          .catch(error => console.error('Error checking cart stock:', error));
       } catch (error) {
         console.error('Error parsing cart data:', error);
         localStorage.removeItem('cart');
@@ -21,58 +65,154 @@ export const CartProvider = ({ children }) => {
     }
   }, []);
   
+  // Restore the applied promo code, if any
+  useEffect(() => {
+    const savedCode = localStorage.getItem('promoCode');
+    if (savedCode) {
+      findPromotion(savedCode)
+        .then(promo => setAppliedPromo(promo))
+        .catch(error => console.error('Error loading promo code:', error));
+    }
+  }, []);
+  
   // Save cart to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('cart', JSON.stringify(cartItems));
   }, [cartItems]);
   
-  // Add item to cart
-  const addToCart = (product, quantity = 1) => {
+  // Add item to cart, optionally as a specific variant (size or pack)
+  const addToCart = (product, quantity = 1, variant = null) => {
+    const selectedVariant = variant
+      || getVariant(product, product.variantId)
+      || getDefaultVariant(product);
+    const lineId = getLineId(product.id, selectedVariant?.id);
+    const variantLabel = getVariantLabel(selectedVariant);
+    const displayName = variantLabel ? `${product.name} (${variantLabel})` : product.name;
+    const stock = getStock(product, selectedVariant);
+    
+    if (isOutOfStock(stock)) {
+      toast.error(`${displayName} is out of stock`);
+      return;
+    }
+    
     setCartItems(prevItems => {
-      // Check if item already exists in cart
-      const existingItemIndex = prevItems.findIndex(item => item.id === product.id);
+      // Check if this product/variant line already exists in cart
+      const existingItemIndex = prevItems.findIndex(item => item.lineId === lineId);
+      const existingQuantity = existingItemIndex > -1 ? prevItems[existingItemIndex].quantity : 0;
+      const newQuantity = clampQuantity(existingQuantity + quantity, stock);
+      const addedQuantity = newQuantity - existingQuantity;
+      
+      if (addedQuantity <= 0) {
+        toast.error(`You already have all ${stock} available ${displayName} in your cart`);
+        return prevItems;
+      }
+      
+      if (addedQuantity < quantity) {
+        toast.error(`Only ${stock} ${displayName} available`);
+      }
       
       if (existingItemIndex > -1) {
         // Item exists, update quantity
         const updatedItems = [...prevItems];
         updatedItems[existingItemIndex] = {
           ...updatedItems[existingItemIndex],
-          quantity: updatedItems[existingItemIndex].quantity + quantity
+          stock,
+          quantity: newQuantity
         };
-        toast.success(`Added ${quantity > 1 ? quantity + ' ' : ''}${product.name} to cart`);
+        toast.success(`Added ${addedQuantity > 1 ? addedQuantity + ' ' : ''}${displayName} to cart`);
         return updatedItems;
       } else {
-        // Item doesn't exist, add new item
-        toast.success(`${quantity > 1 ? quantity + ' ' : ''}${product.name} added to cart`);
-        return [...prevItems, { ...product, quantity }];
+        // Item doesn't exist, add new line with the variant's price and image
+        toast.success(`${addedQuantity > 1 ? addedQuantity + ' ' : ''}${displayName} added to cart`);
+        return [...prevItems, buildLine(product, selectedVariant, newQuantity)];
       }
     });
   };
   
-  // Remove item from cart
-  const removeFromCart = (productId) => {
+  // Put a past order's items back in the cart at today's prices, within current stock
+  const reorder = async (order) => {
+    try {
+      const products = await catalog.getAll();
+      const byId = new Map(products.map(p => [p.id, p]));
+      const unavailable = [];
+      let addedCount = 0;
+      const updatedItems = [...cartItems];
+      
+      order.items.forEach(orderItem => {
+        const product = byId.get(orderItem.id);
+        const variant = product && (getVariant(product, orderItem.variantId) || getDefaultVariant(product));
+        const stock = product ? getStock(product, variant) : 0;
+        const lineId = product ? getLineId(product.id, variant?.id) : null;
+        const index = updatedItems.findIndex(item => item.lineId === lineId);
+        const existingQuantity = index > -1 ? updatedItems[index].quantity : 0;
+        const newQuantity = product ? clampQuantity(existingQuantity + orderItem.quantity, stock) : 0;
+        
+        if (!product || newQuantity <= existingQuantity) {
+          unavailable.push(getLineName(orderItem));
+          return;
+        }
+        
+        addedCount += newQuantity - existingQuantity;
+        if (index > -1) {
+          updatedItems[index] = { ...updatedItems[index], stock, quantity: newQuantity };
+        } else {
+          updatedItems.push(buildLine(product, variant, newQuantity));
+        }
+      });
+      
+      setCartItems(updatedItems);
+      
+      if (addedCount > 0) {
+        toast.success(`Added ${addedCount} item${addedCount > 1 ? 's' : ''} from order ${order.id} to cart`);
+      }
+      if (unavailable.length > 0) {
+        toast.error(`Not available right now: ${unavailable.join(', ')}`);
+      }
+      return addedCount > 0;
+    } catch (error) {
+      console.error('Error reordering:', error);
+      toast.error('Could not add these items to your cart. Please try again.');
+      return false;
+    }
+  };
+  
+  // Remove line from cart
+  const removeFromCart = (lineId) => {
     setCartItems(prevItems => {
-      const updatedItems = prevItems.filter(item => item.id !== productId);
+      const updatedItems = prevItems.filter(item => item.lineId !== lineId);
       toast.success('Item removed from cart');
       return updatedItems;
     });
   };
   
-  // Update item quantity
-  const updateQuantity = (productId, newQuantity) => {
+  // Update line quantity, capped at the stock available for that line
+  const updateQuantity = (lineId, newQuantity) => {
     if (newQuantity < 1) return;
     
+    const line = cartItems.find(item => item.lineId === lineId);
+    const stock = typeof line?.stock === 'number' ? line.stock : null;
+    const quantity = clampQuantity(newQuantity, stock);
+    
+    if (quantity < newQuantity) {
+      toast.error(`Only ${stock} available`);
+    }
+    if (quantity < 1) return;
+    
     setCartItems(prevItems => {
       return prevItems.map(item => 
-        item.id === productId ? { ...item, quantity: newQuantity } : item
+        item.lineId === lineId ? { ...item, quantity } : item
       );
     });
   };
   
-  // Clear cart
-  const clearCart = () => {
+  // Clear cart (pass false to skip the toast, e.g. after an order is placed)
+  const clearCart = (showToast = true) => {
     setCartItems([]);
-    toast.success('Cart cleared');
+    setAppliedPromo(null);
+    localStorage.removeItem('promoCode');
+    if (showToast) {
+      toast.success('Cart cleared');
+    }
   };
   
   // Calculate total price
@@ -80,6 +220,66 @@ export const CartProvider = ({ children }) => {
     return cartItems.reduce((total, item) => total + (item.price * item.quantity), 0);
   };
   
+  // Total saved against original prices
+  const getTotalSavings = () => {
+    return getCartSavings(cartItems);
+  };
+  
+  // Re-check the applied promo against the cart as it is now
+  const promotion = appliedPromo
+    ? evaluatePromotion(appliedPromo, { lines: cartItems, subtotal: getTotalPrice(), user })
+    : null;
+  const promoDiscount = promotion?.valid ? promotion.discount : 0;
+  
+  // Subtotal, discounts, delivery and total for the cart delivered to `areaId`
+  const getOrderSummary = (areaId = null) => {
+    const subtotal = getTotalPrice();
+    const itemsTotal = subtotal - promoDiscount;
+    const delivery = calculateDelivery({
+      subtotal: itemsTotal,
+      areaId,
+      freeDelivery: Boolean(promotion?.valid && promotion.freeDelivery)
+    });
+    
+    return {
+      subtotal,
+      savings: getTotalSavings(),
+      promotion: promotion?.valid ? promotion : null,
+      promoDiscount,
+      itemsTotal,
+      delivery,
+      total: itemsTotal + delivery.fee
+    };
+  };
+  
+  // Apply a promo code, returns true if it was accepted
+  const applyPromoCode = async (code) => {
+    try {
+      const promo = await findPromotion(code);
+      const result = evaluatePromotion(promo, { lines: cartItems, subtotal: getTotalPrice(), user });
+      
+      if (!result.valid) {
+        toast.error(result.error);
+        return false;
+      }
+      
+      setAppliedPromo(promo);
+      localStorage.setItem('promoCode', promo.code);
+      toast.success(`Promo code ${promo.code} applied`);
+      return true;
+    } catch (error) {
+      console.error('Error applying promo code:', error);
+      toast.error('Could not apply promo code. Please try again.');
+      return false;
+    }
+  };
+  
+  // Remove the applied promo code
+  const removePromoCode = () => {
+    setAppliedPromo(null);
+    localStorage.removeItem('promoCode');
+  };
+  
   // Get total number of items
   const getTotalItems = () => {
     return cartItems.reduce((total, item) => total + item.quantity, 0);
@@ -89,11 +289,19 @@ export const CartProvider = ({ children }) => {
     cart: cartItems,
     cartItems, // Keep for backward compatibility
     addToCart,
+    reorder,
     removeFromCart,
     updateQuantity,
     clearCart,
     totalPrice: getTotalPrice(),
+    hasStockIssues: cartItems.some(isLineOverStock),
     getTotalPrice, // Keep for backward compatibility
+    totalSavings: getTotalSavings(),
+    promotion,
+    promoDiscount,
+    applyPromoCode,
+    removePromoCode,
+    getOrderSummary,
     getTotalItems
   };
   
@@ -0,0 +1,116 @@
+import { getDeliveryArea } from './delivery';
+import { isValidPhone } from './phone';
+
+// Saved delivery addresses, stored per email in localStorage. An address looks like:
+//   { id, label, fullName, phone, areaId, line, isDefault }
+
+const STORAGE_KEY = 'addressBook';
+
+export const ADDRESS_LABELS = ['Home', 'Work', 'Other'];
+
+export const emptyAddress = { label: 'Home', fullName: '', phone: '', areaId: '', line: '' };
+
+// Returns { field: message } for the fields that need fixing
+export const validateAddress = (address) => {
+  const errors = {};
+  if (!address.fullName.trim()) errors.fullName = 'Please enter the recipient\'s name';
+  if (!isValidPhone(address.phone)) errors.phone = 'Please enter a valid mobile number, e.g. 03001234567';
+  if (!getDeliveryArea(address.areaId)) errors.areaId = 'Please select your delivery area';
+  if (address.line.trim().length < 10) errors.line = 'Please enter your full delivery address';
+  return errors;
+};
+
+// Same recipient at the same place, ignoring spacing and case
+export const isSameAddress = (a, b) => {
+  const normalize = (value) => (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return a.areaId === b.areaId
+    && normalize(a.line) === normalize(b.line)
+    && normalize(a.fullName) === normalize(b.fullName);
+};
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error parsing address book:', error);
+    return {};
+  }
+};
+
+const writeAddresses = (email, addresses) => {
+  const addressBook = readAll();
+  addressBook[email] = addresses;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(addressBook));
+};
+
+const generateAddressId = () => `addr-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Default address first, then in the order they were added
+export const getAddresses = (email) => {
+  if (!email) return [];
+  const addresses = readAll()[email] || [];
+  return [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+};
+
+export const getDefaultAddress = (email) => getAddresses(email)[0] || null;
+
+// Insert or update an address; the first one saved becomes the default.
+// Returns the updated list.
+export const saveAddress = (email, address) => {
+  const addresses = readAll()[email] || [];
+  const saved = {
+    ...address,
+    id: address.id || generateAddressId(),
+    fullName: address.fullName.trim(),
+    phone: address.phone.trim(),
+    line: address.line.trim(),
+    isDefault: addresses.length === 0 || !!address.isDefault
+  };
+
+  const updated = addresses
+    .filter(existing => existing.id !== saved.id)
+    .map(existing => (saved.isDefault ? { ...existing, isDefault: false } : existing));
+
+  const index = addresses.findIndex(existing => existing.id === saved.id);
+  if (index > -1) {
+    updated.splice(index, 0, saved);
+  } else {
+    updated.push(saved);
+  }
+
+  writeAddresses(email, updated);
+  return getAddresses(email);
+};
+
+export const removeAddress = (email, addressId) => {
+  const addresses = (readAll()[email] || []).filter(address => address.id !== addressId);
+  // Keep a default as long as any address is left
+  if (addresses.length > 0 && !addresses.some(address => address.isDefault)) {
+    addresses[0] = { ...addresses[0], isDefault: true };
+  }
+  writeAddresses(email, addresses);
+  return getAddresses(email);
+};
+
+export const setDefaultAddress = (email, addressId) => {
+  const addresses = (readAll()[email] || []).map(address => ({
+    ...address,
+    isDefault: address.id === addressId
+  }));
+  writeAddresses(email, addresses);
+  return getAddresses(email);
+};
+
+// Move saved addresses to a new email after the account email changes
+export const transferAddresses = (fromEmail, toEmail) => {
+  const addressBook = readAll();
+  if (!addressBook[fromEmail]) return;
+  const existing = addressBook[toEmail] || [];
+  // Keep the target's default if it already has addresses
+  const moved = existing.length > 0
+    ? addressBook[fromEmail].map(address => ({ ...address, isDefault: false }))
+    : addressBook[fromEmail];
+  addressBook[toEmail] = [...existing, ...moved];
+  delete addressBook[fromEmail];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(addressBook));
+};
@@ -0,0 +1,26 @@
+import brands from '../data/brands.json';
+
+// Brand details from src/data/brands.json: { slug, name, logo, country,
+// description }. `name` is written exactly like the `brand` of its products;
+// `slug` gives the brand its page at /brand/:slug. `logo` points at a file in
+// public/brand-logos/, or is null and BrandLogo shows the brand's initials.
+
+const bySlug = new Map(brands.map(brand => [brand.slug, brand]));
+const byName = new Map(brands.map(brand => [brand.name, brand]));
+
+// Every brand, A to Z
+export const getAllBrands = () =>
+  [...brands].sort((a, b) => a.name.localeCompare(b.name));
+
+export const getBrand = (slug) => bySlug.get(slug) || null;
+
+// Details for a product's `brand`, or null for brands not in the dataset
+export const getBrandByName = (name) => byName.get(name) || null;
+
+export const getBrandUrl = (slug) => `/brand/${slug}`;
+
+// Brand page when there is one, otherwise the brand filter on /products
+export const getBrandLink = (name) => {
+  const brand = getBrandByName(name);
+  return brand ? getBrandUrl(brand.slug) : `/products?brand=${encodeURIComponent(name)}`;
+};
@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState } from 'react';
+import { createSearchIndex, searchIndex, suggestQueries, SEARCH_FIELDS } from './searchEngine';
+import { isInCategory } from './categoryTree';
+
+// Where product data comes from. 'bundled' reads src/data/products.json,
+// 'http' fetches the same array from a local endpoint (e.g. a dev API server).
+// Set VITE_CATALOG_SOURCE=http and VITE_CATALOG_URL in .env.local to switch.
+const config = {
+  source: import.meta.env.VITE_CATALOG_SOURCE || 'bundled',
+  url: import.meta.env.VITE_CATALOG_URL || '/api/products'
+};
+
+const sources = {
+  bundled: async () => {
+    const module = await import('../data/products.json');
+    return module.default;
+  },
+  http: async ({ url }) => {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Failed to load catalog (${response.status})`);
+    }
+    return response.json();
+  }
+};
+
+// Cached promise for the full product list, shared by every caller
+let productsPromise = null;
+// Cached derived lookups, rebuilt whenever the product list is reloaded
+let derived = null;
+
+const buildDerived = (products) => ({
+  byId: new Map(products.map(p => [p.id, p])),
+  categories: [...new Set(products.map(p => p.category))],
+  brands: [...new Set(products.map(p => p.brand))],
+  searchIndex: createSearchIndex(products)
+});
+
+const load = () => {
+  if (!productsPromise) {
+    const loader = sources[config.source];
+    if (!loader) {
+      return Promise.reject(new Error(`Unknown catalog source: ${config.source}`));
+    }
+
+    productsPromise = loader(config)
+      .then(products => {
+        derived = buildDerived(products);
+        return products;
+      })
+      .catch(error => {
+        // Don't cache failures so the next call can retry
+        productsPromise = null;
+        derived = null;
+        throw error;
+      });
+  }
+  return productsPromise;
+};
+
+// Switch the data source at runtime and drop anything cached from the old one
+export const configureCatalog = (options = {}) => {
+  Object.assign(config, options);
+  clearCatalogCache();
+};
+
+export const clearCatalogCache = () => {
+  productsPromise = null;
+  derived = null;
+};
+
+export const getAll = async () => load();
+
+export const getById = async (id) => {
+  await load();
+  return derived.byId.get(String(id)) || null;
+};
+
+export const getByCategory = async (category) => {
+  const products = await load();
+  return products.filter(p => p.category === category);
+};
+
+// Products anywhere under a node of the category tree (see categoryTree.jsx)
+export const getInCategory = async (slug) => {
+  const products = await load();
+  return products.filter(p => isInCategory(p, slug));
+};
+
+export const getCategories = async () => {
+  await load();
+  return derived.categories;
+};
+
+export const getBrands = async () => {
+  await load();
+  return derived.brands;
+};
+
+// Ranked, typo-tolerant search with synonyms (see searchEngine.jsx)
+export const search = async (query, { fields = SEARCH_FIELDS, limit } = {}) => {
+  await load();
+  return searchIndex(derived.searchIndex, query, { fields, limit });
+};
+
+// "Did you mean" alternatives for a query that found nothing
+export const suggest = async (query, { limit } = {}) => {
+  await load();
+  return suggestQueries(derived.searchIndex, query, { limit });
+};
+
+// Other products from the same category
+export const related = async (product, limit = 4) => {
+  if (!product) return [];
+  const products = await load();
+  return products
+    .filter(p => p.category === product.category && p.id !== product.id)
+    .slice(0, limit);
+};
+
+const catalog = {
+  getAll,
+  getById,
+  getByCategory,
+  getInCategory,
+  getCategories,
+  getBrands,
+  search,
+  suggest,
+  related
+};
+
+export default catalog;
+
+// Run an async catalog query and track its loading/error state.
+// Usage: const { data, loading, error } = useCatalog(c => c.getById(id), [id]);
+export const useCatalog = (query, deps = [], initialData = null) => {
+  const [state, setState] = useState({ data: initialData, loading: true, error: null });
+  // The query re-runs when `deps` change; callers pass a fresh `query` and
+  // `initialData` every render, so the effect reads the latest ones from refs
+  const queryRef = useRef(query);
+  const initialDataRef = useRef(initialData);
+  queryRef.current = query;
+  initialDataRef.current = initialData;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    Promise.resolve()
+      .then(() => queryRef.current(catalog))
+      .then(data => {
+        if (!cancelled) setState({ data, loading: false, error: null });
+      })
+      .catch(error => {
+        console.error('Error loading catalog:', error);
+        if (!cancelled) setState({ data: initialDataRef.current, loading: false, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, deps);
+
+  return state;
+};
@@ -0,0 +1,68 @@
+import tree from '../data/categories.json';
+
+// The category hierarchy from src/data/categories.json. Top-level nodes are
+// named exactly like the `category` of their products; deeper nodes are
+// picked by a product's `subcategory` slug. Every slug is unique across the
+// whole tree and gives the node its page at /category/:slug.
+
+// slug -> { slug, name, image, children, parentSlug }
+const buildLookup = (nodes, parentSlug = null, lookup = new Map()) => {
+  nodes.forEach(node => {
+    if (lookup.has(node.slug)) {
+      console.error(`Duplicate category slug: ${node.slug}`);
+    }
+    lookup.set(node.slug, { ...node, children: node.children || [], parentSlug });
+    buildLookup(node.children || [], node.slug, lookup);
+  });
+  return lookup;
+};
+
+const bySlug = buildLookup(tree);
+
+export const getTopCategories = () => tree.map(node => bySlug.get(node.slug));
+
+export const getCategory = (slug) => bySlug.get(slug) || null;
+
+export const getCategoryChildren = (slug) =>
+  (getCategory(slug)?.children || []).map(child => bySlug.get(child.slug));
+
+// Top-level node for a product `category` name, e.g. 'Dairy'
+export const getCategoryByName = (name) =>
+  getTopCategories().find(node => node.name === name) || null;
+
+export const getCategoryUrl = (slug) => `/category/${slug}`;
+
+// The node and its ancestors, top-level first
+export const getCategoryPath = (slug) => {
+  const path = [];
+  for (let node = getCategory(slug); node; node = getCategory(node.parentSlug)) {
+    path.unshift(node);
+  }
+  return path;
+};
+
+// The deepest node a product belongs to: its subcategory when that sits under
+// its category, otherwise the category itself
+export const getProductCategory = (product) => {
+  const top = getCategoryByName(product?.category);
+  const sub = getCategory(product?.subcategory);
+  if (sub && top && getCategoryPath(sub.slug)[0].slug === top.slug) return sub;
+  return top;
+};
+
+export const isInCategory = (product, slug) => {
+  const node = getProductCategory(product);
+  return Boolean(node) && getCategoryPath(node.slug).some(ancestor => ancestor.slug === slug);
+};
+
+// True if a link to a category page or a category filter on /products points
+// at something in the tree. Used by the build to check hard-coded links.
+export const isValidCategoryLink = (href) => {
+  const url = new URL(href, 'http://localhost');
+  const match = url.pathname.match(/^\/category\/([^/]+)\/?$/);
+  if (match) return Boolean(getCategory(decodeURIComponent(match[1])));
+  if (url.pathname === '/products') {
+    return url.searchParams.getAll('category').every(name => Boolean(getCategoryByName(name)));
+  }
+  return true;
+};
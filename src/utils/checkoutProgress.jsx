@@ -0,0 +1,49 @@
+// Checkout progress (address, phone, slot, notes) kept in sessionStorage so a
+// reload doesn't lose the form, plus the last placed order for the
+// confirmation page. Progress is per email, and both are dropped when someone
+// logs out or their session expires, so the next person on the same tab never
+// sees the previous customer's details.
+
+const KEY_PREFIX = 'checkout:';
+const LAST_ORDER_KEY = 'lastOrder';
+
+const storageKey = (email) => `${KEY_PREFIX}${email}`;
+
+export const loadCheckoutProgress = (email) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(storageKey(email)) || 'null');
+  } catch (error) {
+    console.error('Error parsing checkout data:', error);
+    sessionStorage.removeItem(storageKey(email));
+    return null;
+  }
+};
+
+export const saveCheckoutProgress = (email, progress) => {
+  sessionStorage.setItem(storageKey(email), JSON.stringify(progress));
+};
+
+export const clearCheckoutProgress = (email) => {
+  sessionStorage.removeItem(storageKey(email));
+};
+
+export const loadLastOrder = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(LAST_ORDER_KEY) || 'null');
+  } catch (error) {
+    console.error('Error parsing last order:', error);
+    return null;
+  }
+};
+
+export const saveLastOrder = (order) => {
+  sessionStorage.setItem(LAST_ORDER_KEY, JSON.stringify(order));
+};
+
+// Every saved checkout and the last order in this tab, whoever they belonged to
+export const clearAllCheckoutProgress = () => {
+  Object.keys(sessionStorage)
+    .filter(key => key.startsWith(KEY_PREFIX))
+    .forEach(key => sessionStorage.removeItem(key));
+  sessionStorage.removeItem(LAST_ORDER_KEY);
+};
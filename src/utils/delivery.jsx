@@ -0,0 +1,77 @@
+import deliveryConfig from '../data/delivery.json';
+
+// Delivery pricing rules live in src/data/delivery.json:
+//   baseFee               - flat charge per order (PKR)
+//   freeDeliveryThreshold - orders at or above this subtotal ship free
+//   minimumOrder          - orders below this subtotal can't be placed
+//   areas                 - delivery areas, each with an extra `surcharge`
+//   slots                 - delivery windows offered for the next `daysAhead` days;
+//                           a window must start at least `leadTimeHours` from now
+
+export const getDeliveryConfig = () => deliveryConfig;
+
+export const getDeliveryAreas = () => deliveryConfig.areas;
+
+export const getDeliveryArea = (areaId) =>
+  deliveryConfig.areas.find(area => area.id === areaId) || null;
+
+// Work out delivery for a basket. `subtotal` is what the customer pays for
+// items (after sale prices and promo discounts); `freeDelivery` is set by promos.
+export const calculateDelivery = ({ subtotal, areaId = null, freeDelivery = false }) => {
+  const { baseFee, freeDeliveryThreshold, minimumOrder } = deliveryConfig;
+  const area = getDeliveryArea(areaId);
+  const surcharge = area ? area.surcharge : 0;
+
+  const qualifiesForFree = freeDeliveryThreshold !== null && subtotal >= freeDeliveryThreshold;
+  const isFree = freeDelivery || qualifiesForFree;
+
+  return {
+    baseFee,
+    surcharge,
+    fee: isFree ? 0 : baseFee + surcharge,
+    isFree,
+    meetsMinimum: subtotal >= minimumOrder,
+    amountToMinimum: Math.max(0, minimumOrder - subtotal),
+    amountToFreeDelivery: isFree ? 0 : Math.max(0, freeDeliveryThreshold - subtotal)
+  };
+};
+
+// Local YYYY-MM-DD key for a date
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Bookable delivery slots grouped by day:
+//   [{ date: '2026-10-19', label: 'Today', windows: [{ id, label, startHour, endHour }] }]
+export const getDeliverySlots = (now = new Date()) => {
+  const { daysAhead, leadTimeHours, windows } = deliveryConfig.slots;
+  const earliest = now.getTime() + leadTimeHours * 60 * 60 * 1000;
+  const days = [];
+
+  for (let offset = 0; offset < daysAhead; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const available = windows.filter(slot => {
+      const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), slot.startHour);
+      return start.getTime() >= earliest;
+    });
+
+    if (available.length > 0) {
+      days.push({
+        date: toDateKey(day),
+        label: offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow' : day.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short' }),
+        windows: available
+      });
+    }
+  }
+
+  return days;
+};
+
+// Look up a chosen slot; null if it is no longer bookable
+export const findDeliverySlot = (date, windowId, now = new Date()) => {
+  const day = getDeliverySlots(now).find(d => d.date === date);
+  const slot = day?.windows.find(w => w.id === windowId);
+  return slot ? { date, dayLabel: day.label, windowId, label: `${day.label}, ${slot.label}` } : null;
+};
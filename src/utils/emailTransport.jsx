@@ -0,0 +1,66 @@
+import { createOutboxTransport, createTestTransport, nextMessageId } from './outbox';
+
+// How outgoing email leaves the app. Every transport has the same shape:
+//   send(message, config) - resolves with { id, sentAt } or rejects on failure
+// where a message is { to, subject, text, type, meta } and `type` is e.g.
+// 'verification' or 'order' so tools can find the mail they care about.
+//
+// Pick one with VITE_EMAIL_TRANSPORT in .env.local:
+//   outbox - keep messages in this tab and list them on /dev/outbox
+//   http   - POST each message as JSON to VITE_EMAIL_URL
+//   test   - deterministic double that records messages and never waits
+// Without VITE_EMAIL_TRANSPORT, mail goes over http when VITE_EMAIL_URL is set
+// and to the outbox otherwise: the static deploy has no mail endpoint.
+
+const emailUrl = import.meta.env.VITE_EMAIL_URL || '';
+
+const config = {
+  transport: import.meta.env.VITE_EMAIL_TRANSPORT || (emailUrl ? 'http' : 'outbox'),
+  url: emailUrl
+};
+
+if (config.transport === 'http' && !config.url) {
+  throw new Error('VITE_EMAIL_TRANSPORT=http needs VITE_EMAIL_URL to be set');
+}
+
+const httpTransport = {
+  id: 'http',
+  send: async (message, { url }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to send email (${response.status})`);
+    }
+    const result = await response.json().catch(() => ({}));
+    return { id: result.id || nextMessageId(), sentAt: result.sentAt || Date.now() };
+  }
+};
+
+const transports = {
+  outbox: createOutboxTransport('devOutbox'),
+  http: httpTransport,
+  test: createTestTransport()
+};
+
+export const getEmailTransport = () => {
+  const transport = transports[config.transport];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${config.transport}`);
+  }
+  return transport;
+};
+
+// Switch transports at runtime, e.g. configureEmailTransport({ transport: 'test' })
+export const configureEmailTransport = (options = {}) => {
+  Object.assign(config, options);
+};
+
+export const sendEmail = async (message) => getEmailTransport().send(message, config);
+
+// The dev outbox page is only useful while mail is going there
+export const isOutboxEnabled = () => config.transport === 'outbox';
+
+export const devOutbox = transports.outbox;
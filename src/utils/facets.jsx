@@ -0,0 +1,69 @@
+import { getPricing } from './pricing';
+import { isProductAvailable } from './inventory';
+
+// Filters for product lists. A facet maps each product to one or more values;
+// options within a facet are OR'd ("Dairy or Beverages") and facets are AND'd
+// together. Selections look like { category: ['Dairy'], price: ['under-150'] }.
+// Filtering and counting are done by productQuery.jsx.
+
+// Price buckets on what the customer actually pays; `max` is exclusive
+export const PRICE_BUCKETS = [
+  { id: 'under-150', label: 'Under PKR 150', min: 0, max: 150 },
+  { id: '150-300', label: 'PKR 150 - 300', min: 150, max: 300 },
+  { id: '300-500', label: 'PKR 300 - 500', min: 300, max: 500 },
+  { id: '500-1000', label: 'PKR 500 - 1,000', min: 500, max: 1000 },
+  { id: '1000-plus', label: 'PKR 1,000 & above', min: 1000, max: Infinity }
+];
+
+// Tags used in the `dietary` array of src/data/products.json
+export const DIETARY_TAGS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten Free',
+  'dairy-free': 'Dairy Free'
+};
+
+export const getPriceBucket = (price) =>
+  PRICE_BUCKETS.find(bucket => price >= bucket.min && price < bucket.max) || null;
+
+// `key` is also the query string parameter. Facets with fixed `options`
+// list them in that order; the rest take their options from the catalog.
+export const PRODUCT_FACETS = [
+  {
+    key: 'category',
+    label: 'Categories',
+    valuesOf: product => [product.category]
+  },
+  {
+    key: 'brand',
+    label: 'Brands',
+    valuesOf: product => [product.brand]
+  },
+  {
+    key: 'price',
+    label: 'Price',
+    options: PRICE_BUCKETS.map(({ id, label }) => ({ value: id, label })),
+    valuesOf: product => {
+      const bucket = getPriceBucket(getPricing(product).price);
+      return bucket ? [bucket.id] : [];
+    }
+  },
+  {
+    key: 'dietary',
+    label: 'Dietary',
+    options: Object.entries(DIETARY_TAGS).map(([value, label]) => ({ value, label })),
+    valuesOf: product => product.dietary || []
+  },
+  {
+    key: 'inStock',
+    label: 'Availability',
+    options: [{ value: '1', label: 'In stock only' }],
+    valuesOf: product => (isProductAvailable(product) ? ['1'] : [])
+  }
+];
+
+export const getFacet = (key) => PRODUCT_FACETS.find(facet => facet.key === key) || null;
+
+// Display label for a selected value, e.g. 'under-150' -> 'Under PKR 150'
+export const getOptionLabel = (facet, value) =>
+  facet.options?.find(option => option.value === value)?.label || value;
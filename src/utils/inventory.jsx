@@ -0,0 +1,59 @@
+import { getDefaultVariant, getLineId, getVariant, getVariants } from './variants';
+
+// At or below this many units we show an "Only N left" badge
+export const LOW_STOCK_THRESHOLD = 5;
+
+// Available units for a product variant. null means stock isn't tracked
+// for that SKU, which we treat as unlimited.
+export const getStock = (product, variant = null) => {
+  const sku = variant || getDefaultVariant(product);
+  const stock = sku?.stock ?? product?.stock;
+  return typeof stock === 'number' ? Math.max(0, stock) : null;
+};
+
+export const isOutOfStock = (stock) => stock !== null && stock <= 0;
+
+export const isLowStock = (stock) =>
+  stock !== null && stock > 0 && stock <= LOW_STOCK_THRESHOLD;
+
+// True if at least one variant can still be bought
+export const isProductAvailable = (product) =>
+  getVariants(product).some(variant => !isOutOfStock(getStock(product, variant)));
+
+// Cap a requested quantity at what's available
+export const clampQuantity = (quantity, stock) =>
+  stock === null ? quantity : Math.min(quantity, stock);
+
+// Badge text and tone for a stock level, or null when nothing needs saying
+export const getStockBadge = (stock) => {
+  if (isOutOfStock(stock)) {
+    return { label: 'Out of stock', tone: 'out' };
+  }
+  if (isLowStock(stock)) {
+    return { label: `Only ${stock} left`, tone: 'low' };
+  }
+  return null;
+};
+
+// Refresh each cart line's stock from the current catalog. Lines whose
+// product has disappeared are treated as out of stock.
+export const syncLineStock = (lines, products) => {
+  const byId = new Map(products.map(p => [p.id, p]));
+
+  return lines.map(line => {
+    const product = byId.get(line.id);
+    if (!product) {
+      return { ...line, stock: 0 };
+    }
+    const variant = getVariant(product, line.variantId) || getDefaultVariant(product);
+    return {
+      ...line,
+      lineId: line.lineId || getLineId(product.id, variant?.id),
+      stock: getStock(product, variant)
+    };
+  });
+};
+
+// Cart lines that ask for more than is now available
+export const isLineOverStock = (line) =>
+  typeof line.stock === 'number' && line.quantity > line.stock;
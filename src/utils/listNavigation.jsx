@@ -0,0 +1,32 @@
+import { useState } from 'react';
+
+// Arrow-key navigation for a dropdown list under a text input: ↑/↓ move the
+// highlight (wrapping around), Enter picks the highlighted item and Escape
+// closes the list. Enter with nothing highlighted is left to the input's form.
+// Usage:
+//   const { activeIndex, setActiveIndex, handleKeyDown } =
+//     useListNavigation({ itemCount, isOpen, onSelect: index => ..., onClose });
+//   <input onKeyDown={handleKeyDown} ... />
+export const useListNavigation = ({ itemCount, isOpen, onSelect, onClose }) => {
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || itemCount === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prevIndex => (prevIndex < itemCount - 1 ? prevIndex + 1 : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prevIndex => (prevIndex > 0 ? prevIndex - 1 : itemCount - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0 && activeIndex < itemCount) {
+      e.preventDefault();
+      onSelect(activeIndex);
+    } else if (e.key === 'Escape') {
+      setActiveIndex(-1);
+      onClose();
+    }
+  };
+
+  return { activeIndex, setActiveIndex, handleKeyDown };
+};
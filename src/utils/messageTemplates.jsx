@@ -0,0 +1,39 @@
+import { buildOrderText } from './orderChannels';
+
+// Messages sent through the email and SMS transports (see emailTransport.jsx
+// and smsTransport.jsx)
+
+export const verificationEmail = (email, code) => ({
+  to: email,
+  subject: `Your WahabStore verification code is ${code}`,
+  text: [
+    'Hi,',
+    '',
+    `Your WahabStore verification code is: ${code}`,
+    '',
+    'The code expires in 10 minutes. If you didn\'t ask for it, you can ignore this email.'
+  ].join('\n'),
+  type: 'verification',
+  meta: { code }
+});
+
+export const verificationSms = (phone, code) => ({
+  to: phone,
+  text: `${code} is your WahabStore verification code. It expires in 10 minutes. Don't share it with anyone.`,
+  type: 'verification',
+  meta: { code }
+});
+
+export const orderConfirmationEmail = (order) => ({
+  to: order.customer.email,
+  subject: `Your WahabStore order ${order.id}`,
+  text: [
+    `Hi ${order.customer.name},`,
+    '',
+    'Thanks for shopping with WahabStore! Here are your order details.',
+    '',
+    buildOrderText(order)
+  ].join('\n'),
+  type: 'order',
+  meta: { orderId: order.id }
+});
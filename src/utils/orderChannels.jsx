@@ -0,0 +1,117 @@
+// Ways an order can be sent to the store. Each channel turns an order into a
+// message and hands it off to another app (email client, WhatsApp).
+//
+// An order passed to a channel looks like:
+//   { customer: { email, name, phone }, address: { area, line }, slot, payment,
+//     items, subtotal, promotion, promoDiscount, delivery, total, note }
+
+const STORE_EMAIL = 'orders@wahabstore.com';
+// Replace with your actual WhatsApp business number
+const STORE_WHATSAPP = '923001234567';
+
+export const PAYMENT_METHODS = [
+  { id: 'cod', label: 'Cash on Delivery', description: 'Pay in cash when your order arrives' },
+  { id: 'card-on-delivery', label: 'Card on Delivery', description: 'Pay by debit or credit card at your door' },
+  { id: 'easypaisa', label: 'Easypaisa / JazzCash', description: 'We will send payment details after confirming your order' }
+];
+
+export const getPaymentMethod = (id) => PAYMENT_METHODS.find(method => method.id === id) || null;
+
+// Line name including the chosen size/pack, e.g. "Olper Milk (1L)"
+export const getLineName = (item) =>
+  item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+
+const getDeliveryText = (order) => {
+  if (order.delivery.isFree) {
+    return order.promotion?.freeDelivery ? `Free (${order.promotion.code})` : 'Free';
+  }
+  return `PKR ${order.delivery.fee}`;
+};
+
+// Build the order text. `bold` wraps labels, e.g. in *asterisks* for WhatsApp.
+export const buildOrderText = (order, bold = (label) => label) => {
+  const lines = [];
+
+  if (order.id) {
+    lines.push(`${bold('Order ID:')} ${order.id}`);
+  }
+  lines.push(`${bold('Customer:')} ${order.customer.name} (${order.customer.email})`);
+  if (order.customer.phone) {
+    lines.push(`${bold('Phone:')} ${order.customer.phone}`);
+  }
+  lines.push(`${bold('Delivery Area:')} ${order.address.area}`);
+  lines.push(`${bold('Delivery Address:')} ${order.address.line}`);
+  lines.push(`${bold('Delivery Slot:')} ${order.slot.label}`);
+  lines.push(`${bold('Payment:')} ${order.payment.label}`);
+  lines.push('');
+  lines.push(bold('Order Items:'));
+
+  order.items.forEach(item => {
+    lines.push(`- ${getLineName(item)} (${item.quantity} x PKR ${item.price}) = PKR ${item.quantity * item.price}`);
+  });
+
+  lines.push('');
+  lines.push(`${bold('Subtotal:')} PKR ${order.subtotal}`);
+  if (order.promoDiscount > 0) {
+    lines.push(`${bold(`Promo (${order.promotion.code}):`)} -PKR ${order.promoDiscount}`);
+  }
+  lines.push(`${bold('Delivery:')} ${getDeliveryText(order)}`);
+  lines.push('');
+  lines.push(`${bold('Total Amount:')} PKR ${order.total}`);
+
+  if (order.note) {
+    lines.push('');
+    lines.push(`${bold('Customer Note:')} ${order.note}`);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+export const ORDER_CHANNELS = {
+  email: {
+    id: 'email',
+    label: 'Email',
+    buildMessage: (order) => `New order from WahabStore\n\n${buildOrderText(order)}`,
+    send: (order) => {
+      const subject = order.id ? `New Order ${order.id} from WahabStore` : 'New Order from WahabStore';
+      const body = ORDER_CHANNELS.email.buildMessage(order);
+      window.location.href = `mailto:${STORE_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+  },
+  whatsapp: {
+    id: 'whatsapp',
+    label: 'WhatsApp',
+    buildMessage: (order) => `*New Order from WahabStore*\n\n${buildOrderText(order, label => `*${label}*`)}`,
+    // Popup blockers only allow windows opened straight from a click, so
+    // checkout opens a blank one up front and sends into it once it's saved
+    open: () => window.open('', '_blank'),
+    send: (order, popup = null) => {
+      const message = ORDER_CHANNELS.whatsapp.buildMessage(order);
+      const url = `https://wa.me/${STORE_WHATSAPP}?text=${encodeURIComponent(message)}`;
+      if (popup && !popup.closed) {
+        popup.location.href = url;
+      } else {
+        window.open(url, '_blank');
+      }
+    }
+  }
+};
+
+const getChannel = (channelId) => {
+  const channel = ORDER_CHANNELS[channelId];
+  if (!channel) {
+    throw new Error(`Unknown order channel: ${channelId}`);
+  }
+  return channel;
+};
+
+// Call synchronously in the click handler, before any await; returns the
+// window to pass to submitOrder, or null for channels that don't need one
+export const openOrderChannel = (channelId) => {
+  const channel = getChannel(channelId);
+  return channel.open ? channel.open() : null;
+};
+
+export const submitOrder = (order, channelId, popup = null) => {
+  getChannel(channelId).send(order, popup);
+};
@@ -0,0 +1,58 @@
+// Storage adapters for placed orders. Every adapter has the same async API so
+// the localStorage one can later be swapped for a server-backed one:
+//   list(email)              - all orders for a user, newest first
+//   get(email, orderId)      - a single order or null
+//   save(email, order)       - insert or replace an order, returns it
+//   transfer(fromEmail, toEmail) - move a user's orders after an email change
+
+const STORAGE_KEY = 'orders';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error parsing order history:', error);
+    return {};
+  }
+};
+
+const writeAll = (ordersByUser) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ordersByUser));
+};
+
+export const localStorageOrderAdapter = {
+  list: async (email) => {
+    const orders = readAll()[email] || [];
+    return [...orders].sort((a, b) => b.createdAt - a.createdAt);
+  },
+  get: async (email, orderId) => {
+    const orders = readAll()[email] || [];
+    return orders.find(order => order.id === orderId) || null;
+  },
+  save: async (email, order) => {
+    const ordersByUser = readAll();
+    const orders = (ordersByUser[email] || []).filter(existing => existing.id !== order.id);
+    ordersByUser[email] = [...orders, order];
+    writeAll(ordersByUser);
+    return order;
+  },
+  transfer: async (fromEmail, toEmail) => {
+    const ordersByUser = readAll();
+    if (!ordersByUser[fromEmail]) return;
+    const moved = ordersByUser[fromEmail].map(order => ({
+      ...order,
+      customer: { ...order.customer, email: toEmail }
+    }));
+    ordersByUser[toEmail] = [...(ordersByUser[toEmail] || []), ...moved];
+    delete ordersByUser[fromEmail];
+    writeAll(ordersByUser);
+  }
+};
+
+let adapter = localStorageOrderAdapter;
+
+export const getOrderStorage = () => adapter;
+
+export const setOrderStorage = (nextAdapter) => {
+  adapter = nextAdapter;
+};
@@ -0,0 +1,67 @@
+import { getOrderStorage } from './orderStorage';
+
+export const ORDER_STATUSES = {
+  placed: { label: 'Placed', className: 'bg-blue-100 text-blue-700' },
+  confirmed: { label: 'Confirmed', className: 'bg-indigo-100 text-indigo-700' },
+  'out-for-delivery': { label: 'Out for Delivery', className: 'bg-amber-100 text-amber-700' },
+  delivered: { label: 'Delivered', className: 'bg-green-100 text-green-700' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-700' }
+};
+
+export const getOrderStatus = (status) => ORDER_STATUSES[status] || ORDER_STATUSES.placed;
+
+// Readable order IDs like WS-20261019-K3F9
+const generateOrderId = (date) => {
+  const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+  return `WS-${day}-${suffix}`;
+};
+
+// Freeze what was bought so later catalog changes don't alter past orders
+const snapshotLine = (line) => ({
+  lineId: line.lineId,
+  id: line.id,
+  variantId: line.variantId || null,
+  name: line.name,
+  variantLabel: line.variantLabel || '',
+  brand: line.brand,
+  category: line.category,
+  image: line.image,
+  price: line.price,
+  originalPrice: line.originalPrice || null,
+  quantity: line.quantity
+});
+
+// Build an order from checkout details. `details` carries customer, address,
+// slot, payment, channel, items, the totals from getOrderSummary and a note.
+export const createOrder = (details, now = new Date()) => ({
+  id: generateOrderId(now),
+  createdAt: now.getTime(),
+  status: 'placed',
+  customer: details.customer,
+  address: details.address,
+  slot: details.slot,
+  payment: details.payment,
+  channel: details.channel,
+  items: details.items.map(snapshotLine),
+  subtotal: details.subtotal,
+  savings: details.savings,
+  promotion: details.promotion
+    ? { code: details.promotion.code, freeDelivery: details.promotion.freeDelivery }
+    : null,
+  promoDiscount: details.promoDiscount,
+  delivery: {
+    fee: details.delivery.fee,
+    isFree: details.delivery.isFree
+  },
+  total: details.total,
+  note: details.note
+});
+
+export const saveOrder = (order) => getOrderStorage().save(order.customer.email, order);
+
+export const getOrders = (email) => getOrderStorage().list(email);
+
+export const getOrder = (email, orderId) => getOrderStorage().get(email, orderId);
+
+export const transferOrders = (fromEmail, toEmail) => getOrderStorage().transfer(fromEmail, toEmail);
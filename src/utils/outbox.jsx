@@ -0,0 +1,78 @@
+// Building blocks shared by the email and SMS transports: a local outbox that
+// stands in for real delivery, and a deterministic test double.
+
+// Keep an outbox from growing without bound during long QA sessions
+const OUTBOX_LIMIT = 100;
+
+let messageCount = 0;
+export const nextMessageId = () => `msg-${Date.now().toString(36)}-${(messageCount++).toString(36)}`;
+
+// Messages are kept in sessionStorage under `storageKey`: they survive the
+// reload that typing /dev/outbox into the address bar causes, but stay in
+// this tab and are gone once it closes, unlike localStorage.
+export const createOutboxTransport = (storageKey) => {
+  let messages = null;
+  const listeners = new Set();
+
+  const read = () => {
+    if (!messages) {
+      try {
+        messages = JSON.parse(sessionStorage.getItem(storageKey) || '[]');
+      } catch (error) {
+        console.error('Error parsing dev outbox:', error);
+        messages = [];
+      }
+    }
+    return messages;
+  };
+
+  const write = (nextMessages) => {
+    messages = nextMessages;
+    sessionStorage.setItem(storageKey, JSON.stringify(messages));
+    listeners.forEach(listener => listener(messages));
+  };
+
+  return {
+    id: 'outbox',
+    send: async (message) => {
+      const sent = { ...message, id: nextMessageId(), sentAt: Date.now() };
+      write([sent, ...read()].slice(0, OUTBOX_LIMIT));
+      return { id: sent.id, sentAt: sent.sentAt };
+    },
+    // Newest first
+    list: () => read(),
+    clear: () => write([]),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Records every message in `sent`. Call failNext(error) to make the next send
+// reject, instead of relying on random failures.
+export const createTestTransport = () => {
+  let nextError = null;
+  const transport = {
+    id: 'test',
+    sent: [],
+    send: async (message) => {
+      if (nextError) {
+        const error = nextError;
+        nextError = null;
+        throw error;
+      }
+      const sent = { ...message, id: `test-${transport.sent.length + 1}`, sentAt: 0 };
+      transport.sent.push(sent);
+      return { id: sent.id, sentAt: sent.sentAt };
+    },
+    failNext: (error = new Error('Failed to send message')) => {
+      nextError = error;
+    },
+    reset: () => {
+      transport.sent = [];
+      nextError = null;
+    }
+  };
+  return transport;
+};
@@ -0,0 +1,19 @@
+// Pakistani mobile numbers: 03XXXXXXXXX, 923XXXXXXXXX, 00923XXXXXXXXX or +923XXXXXXXXX,
+// with optional spaces or dashes
+const MOBILE_PATTERN = /^(?:\+92|0092|92|0)(3\d{9})$/;
+
+const clean = (phone) => (phone || '').replace(/[\s-]/g, '');
+
+export const isValidPhone = (phone) => MOBILE_PATTERN.test(clean(phone));
+
+// Canonical +923XXXXXXXXX form, or null if it isn't a valid mobile number
+export const normalizePhone = (phone) => {
+  const match = clean(phone).match(MOBILE_PATTERN);
+  return match ? `+92${match[1]}` : null;
+};
+
+// e.g. +92 300 1234567, for showing to people
+export const formatPhone = (phone) => {
+  const normalized = normalizePhone(phone);
+  return normalized ? `+92 ${normalized.slice(3, 6)} ${normalized.slice(6)}` : phone;
+};
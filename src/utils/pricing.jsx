@@ -0,0 +1,92 @@
+import { getDefaultVariant, getVariant } from './variants';
+
+// A product's optional `sale` looks like:
+//   { "type": "percent" | "fixed", "value": 10, "startsAt": "2026-01-01", "endsAt": "2026-12-31" }
+// and applies to every variant. Any SKU may also carry a `compareAtPrice`
+// (the "was" price) that is shown when it is higher than the selling price.
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Date-only values ("2026-12-31") are local calendar days: a window opens at
+// local midnight on its start date and runs until the end of its end date.
+// Date.parse would read them as UTC midnight, 05:00 in Pakistan.
+const toTime = (date, isEnd = false) => {
+  if (!date) return null;
+  const match = DATE_ONLY.exec(date);
+  if (!match) return new Date(date).getTime();
+  const [, year, month, day] = match.map(Number);
+  return isEnd
+    ? new Date(year, month - 1, day + 1).getTime() - 1
+    : new Date(year, month - 1, day).getTime();
+};
+
+// True if `now` falls inside the window. Missing dates leave that end open.
+export const isWithinWindow = (startsAt, endsAt, now = Date.now()) => {
+  const start = toTime(startsAt);
+  const end = toTime(endsAt, true);
+  if (start !== null && now < start) return false;
+  if (end !== null && now > end) return false;
+  return true;
+};
+
+export const isSaleActive = (sale, now = Date.now()) =>
+  Boolean(sale && sale.value) && isWithinWindow(sale.startsAt, sale.endsAt, now);
+
+const applySale = (price, sale) => {
+  if (sale.type === 'percent') {
+    return Math.round(price * (1 - Math.min(sale.value, 100) / 100));
+  }
+  return Math.max(0, price - sale.value);
+};
+
+// The one place effective prices are worked out.
+// Returns { price, originalPrice, savings, discountPercent, onSale, endsAt }.
+export const getPricing = (product, variant = null, now = Date.now()) => {
+  const sku = variant || getDefaultVariant(product);
+  const basePrice = sku?.price ?? product.price;
+  const compareAtPrice = sku?.compareAtPrice ?? product.compareAtPrice ?? null;
+
+  let price = basePrice;
+  let originalPrice = compareAtPrice && compareAtPrice > basePrice ? compareAtPrice : null;
+  let endsAt = null;
+
+  if (isSaleActive(product.sale, now)) {
+    price = applySale(basePrice, product.sale);
+    originalPrice = Math.max(basePrice, originalPrice || 0);
+    endsAt = product.sale.endsAt || null;
+  }
+
+  const onSale = originalPrice !== null && originalPrice > price;
+  const savings = onSale ? originalPrice - price : 0;
+
+  return {
+    price,
+    originalPrice: onSale ? originalPrice : null,
+    savings,
+    discountPercent: onSale ? Math.round((savings / originalPrice) * 100) : 0,
+    onSale,
+    endsAt
+  };
+};
+
+// Re-price cart lines against the current catalog so ended or new sales are picked up
+export const syncLinePrices = (lines, products, now = Date.now()) => {
+  const byId = new Map(products.map(p => [p.id, p]));
+
+  return lines.map(line => {
+    const product = byId.get(line.id);
+    if (!product) return line;
+    const variant = getVariant(product, line.variantId) || getDefaultVariant(product);
+    const { price, originalPrice } = getPricing(product, variant, now);
+    return { ...line, price, originalPrice };
+  });
+};
+
+// Savings across the whole cart compared to original prices
+export const getCartSavings = (lines) =>
+  lines.reduce((total, line) =>
+    total + (line.originalPrice ? (line.originalPrice - line.price) * line.quantity : 0), 0);
+
+// Whole rupees with thousands separators, e.g. 12500 -> "12,500"
+export const formatPrice = (price) =>
+  price.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
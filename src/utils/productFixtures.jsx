@@ -0,0 +1,80 @@
+// Large, made-up catalogs for benchmarking product queries. Each generated
+// product is a variation on one of the real products it is given (same
+// category, description and dietary tags, different name, brand, price,
+// stock and sale), so searches and facets behave as they do on the real
+// catalog. The same seed always gives the same products.
+
+const BRANDS = [
+  'Tapal', 'Knorr', 'Rafhan', 'Shangrila', "Mitchell's", "K&N's", 'Dawn',
+  'Sufi', 'Habib', 'Mehran', 'Ahmed', "Young's", 'Candyland', 'Vital'
+];
+
+const VARIETIES = [
+  'Classic', 'Premium', 'Family Pack', 'Value Pack', 'Lite', 'Original',
+  'Masala', 'Zeera', 'Chocolate', 'Mango', 'Strawberry', 'Desi', 'Organic',
+  'Extra', 'Gold', 'Special', 'Daily', 'Fresh'
+];
+
+// Small deterministic PRNG (mulberry32); returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Roughly 1 in 10 products is sold out
+const randomStock = (random) => (random() < 0.1 ? 0 : 1 + Math.floor(random() * 60));
+
+// `count` products based on `templates`, e.g. generateProducts(10000, products)
+export const generateProducts = (count, templates, { seed = 1 } = {}) => {
+  if (templates.length === 0) return [];
+  const random = createRandom(seed);
+
+  return Array.from({ length: count }, (_, i) => {
+    const template = templates[i % templates.length];
+    const id = `fixture-${i + 1}`;
+    const brand = random() < 0.3 ? template.brand : pick(random, BRANDS);
+    const priceFactor = 0.5 + random() * 1.5;
+    const scale = (price) => Math.max(10, Math.round(price * priceFactor));
+
+    const product = {
+      id,
+      name: `${brand} ${template.name.replace(template.brand, '').trim()} ${pick(random, VARIETIES)}`,
+      brand,
+      price: scale(template.price),
+      image: template.image,
+      category: template.category,
+      subcategory: template.subcategory,
+      description: template.description,
+      dietary: template.dietary || []
+    };
+
+    if (template.variants) {
+      product.variants = template.variants.map(variant => ({
+        ...variant,
+        id: `${id}-${variant.id}`,
+        price: scale(variant.price),
+        stock: randomStock(random)
+      }));
+      product.defaultVariantId = `${id}-${template.defaultVariantId}`;
+    } else {
+      if (template.amount) {
+        product.amount = template.amount;
+        product.unit = template.unit;
+      }
+      product.stock = randomStock(random);
+    }
+
+    if (random() < 0.2) {
+      product.sale = { type: 'percent', value: 5 + Math.floor(random() * 4) * 5 };
+    }
+    return product;
+  });
+};
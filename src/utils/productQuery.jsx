@@ -0,0 +1,94 @@
+import { createSearchIndex, searchIndex } from './searchEngine';
+import { PRODUCT_FACETS } from './facets';
+import { getPricing } from './pricing';
+import { getUnitPrice } from './unitPrice';
+
+// Search, facet filtering, facet counts and sorting for product lists in a
+// single pass. Everything a query needs from a product (facet values, price,
+// unit price, name order) is worked out once by createProductIndex, so
+// queries stay fast on catalogs of thousands of SKUs. Nothing here touches
+// the DOM: the same code runs in src/workers/productQuery.worker.jsx and, as
+// a fallback, on the main thread.
+
+const nameCollator = new Intl.Collator(undefined, { sensitivity: 'base' });
+
+// Comparators for ?sort= on index entries. 'default' keeps catalog order, or
+// relevance while searching. Products without a unit price sort last.
+export const PRODUCT_SORTS = {
+  default: null,
+  'price-asc': (a, b) => a.price - b.price,
+  'price-desc': (a, b) => b.price - a.price,
+  'unit-price-asc': (a, b) => (a.unitPrice === b.unitPrice ? 0 : a.unitPrice - b.unitPrice),
+  'name-asc': (a, b) => a.nameRank - b.nameRank,
+  'name-desc': (a, b) => b.nameRank - a.nameRank
+};
+
+// Prices, and so price buckets, are those at `now`
+export const createProductIndex = (products, { now = Date.now() } = {}) => {
+  const entries = products.map(product => ({
+    product,
+    price: getPricing(product, null, now).price,
+    unitPrice: getUnitPrice(product, null, now)?.value ?? Infinity,
+    facetValues: PRODUCT_FACETS.map(facet => facet.valuesOf(product)),
+    nameRank: 0
+  }));
+  [...entries]
+    .sort((a, b) => nameCollator.compare(a.product.name, b.product.name))
+    .forEach((entry, rank) => {
+      entry.nameRank = rank;
+    });
+
+  return {
+    search: createSearchIndex(products),
+    entries,
+    byProduct: new Map(entries.map(entry => [entry.product, entry]))
+  };
+};
+
+// Products matching the query and every facet selection, sorted. Returns
+//   products    - the page's results
+//   matchCount  - how many matched the search alone, before facets
+//   facetCounts - per facet, how many results each value would show with the
+//                 other facets applied: { category: { Dairy: 3 }, ... }
+export const queryProducts = (index, { query = '', selections = {}, sort = 'default' } = {}) => {
+  const matched = query.trim()
+    ? searchIndex(index.search, query).map(product => index.byProduct.get(product))
+    : index.entries;
+
+  const active = PRODUCT_FACETS
+    .map((facet, position) => ({ position, selected: new Set(selections[facet.key] || []) }))
+    .filter(({ selected }) => selected.size > 0);
+  const counts = PRODUCT_FACETS.map(() => ({}));
+  const results = [];
+
+  matched.forEach(entry => {
+    // A product missed by one facet still counts towards that facet's options
+    let misses = 0;
+    let missed = -1;
+    for (const { position, selected } of active) {
+      if (!entry.facetValues[position].some(value => selected.has(value))) {
+        misses += 1;
+        missed = position;
+        if (misses > 1) return;
+      }
+    }
+    if (misses === 0) results.push(entry);
+
+    entry.facetValues.forEach((values, position) => {
+      if (misses === 1 && missed !== position) return;
+      const facetCounts = counts[position];
+      values.forEach(value => {
+        facetCounts[value] = (facetCounts[value] || 0) + 1;
+      });
+    });
+  });
+
+  const compare = PRODUCT_SORTS[sort];
+  if (compare) results.sort(compare);
+
+  return {
+    products: results.map(entry => entry.product),
+    matchCount: matched.length,
+    facetCounts: Object.fromEntries(PRODUCT_FACETS.map((facet, position) => [facet.key, counts[position]]))
+  };
+};
@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react';
+import { createProductIndex, queryProducts } from './productQuery';
+
+// Runs product queries (see productQuery.jsx) in a Web Worker so typing and
+// ticking filters never wait on a big catalog. Browsers without workers, or
+// a worker that fails to start, fall back to querying on the main thread.
+
+const EMPTY_RESULT = { products: [], matchCount: 0, facetCounts: {} };
+
+const createWorker = () =>
+  new Worker(new URL('../workers/productQuery.worker.jsx', import.meta.url), { type: 'module' });
+
+// Results for `products` narrowed by { query, selections, sort }. `pending`
+// is true while the results on screen are for an older query.
+// Usage: const { products, matchCount, facetCounts, pending } = useProductQuery(all, { query, selections, sort });
+export const useProductQuery = (products, params) => {
+  const [onMainThread, setOnMainThread] = useState(() => typeof Worker === 'undefined');
+  const [state, setState] = useState({ result: EMPTY_RESULT, products: null, key: null });
+  const workerRef = useRef(null);
+  const indexRef = useRef(null);
+  const byIdRef = useRef(new Map());
+  const requestCount = useRef(0);
+
+  // Selections arrive as a fresh object on every render; compare by value
+  const key = JSON.stringify(params);
+
+  useEffect(() => {
+    byIdRef.current = new Map(products.map(product => [product.id, product]));
+    if (onMainThread) {
+      indexRef.current = createProductIndex(products);
+      return;
+    }
+
+    let worker;
+    try {
+      worker = createWorker();
+    } catch (error) {
+      console.error('Error starting product query worker:', error);
+      setOnMainThread(true);
+      return;
+    }
+    worker.onerror = (error) => {
+      console.error('Product query worker failed, querying on the main thread instead:', error);
+      setOnMainThread(true);
+    };
+    worker.postMessage({ type: 'load', products });
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [products, onMainThread]);
+
+  useEffect(() => {
+    const query = JSON.parse(key);
+    const worker = workerRef.current;
+    if (!worker) {
+      // No index yet while switching over from a worker that failed to start
+      if (!indexRef.current) return;
+      setState({ result: queryProducts(indexRef.current, query), products, key });
+      return;
+    }
+
+    // Replies to older queries are ignored; only the latest one is shown
+    const id = ++requestCount.current;
+    const handleMessage = ({ data }) => {
+      if (data.id !== id) return;
+      setState({
+        result: {
+          products: data.productIds.map(productId => byIdRef.current.get(productId)).filter(Boolean),
+          matchCount: data.matchCount,
+          facetCounts: data.facetCounts
+        },
+        products,
+        key
+      });
+    };
+    worker.addEventListener('message', handleMessage);
+    worker.postMessage({ type: 'query', id, params: query });
+    return () => worker.removeEventListener('message', handleMessage);
+  }, [products, key, onMainThread]);
+
+  return { ...state.result, pending: state.products !== products || state.key !== key };
+};
@@ -0,0 +1,132 @@
+import { isWithinWindow } from './pricing';
+
+// Promo codes are defined in src/data/promotions.json. Each rule has a `code`,
+// a `type` ('flat' PKR off, 'percent' off, or 'free-delivery') and optionally:
+//   value        - PKR amount or percentage
+//   maxDiscount  - cap for percent discounts
+//   minBasket    - minimum cart subtotal (PKR) before the code applies
+//   scope        - { categories: [...], brands: [...] } limits the discount to matching lines
+//   startsAt / expiresAt - validity window (date-only expiry runs to end of day)
+//   singleUse    - each user may redeem the code once
+
+const REDEMPTIONS_KEY = 'promoRedemptions';
+
+let promotionsPromise = null;
+
+export const loadPromotions = () => {
+  if (!promotionsPromise) {
+    promotionsPromise = import('../data/promotions.json')
+      .then(module => module.default)
+      .catch(error => {
+        promotionsPromise = null;
+        throw error;
+      });
+  }
+  return promotionsPromise;
+};
+
+export const normalizeCode = (code) => (code || '').trim().toUpperCase();
+
+export const findPromotion = async (code) => {
+  const promotions = await loadPromotions();
+  const normalized = normalizeCode(code);
+  return promotions.find(promo => normalizeCode(promo.code) === normalized) || null;
+};
+
+// Codes a user has already redeemed, stored per email
+const getRedemptions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REDEMPTIONS_KEY) || '{}');
+  } catch (error) {
+    console.error('Error parsing promo redemptions:', error);
+    return {};
+  }
+};
+
+export const hasRedeemed = (code, email) => {
+  if (!email) return false;
+  return (getRedemptions()[email] || []).includes(normalizeCode(code));
+};
+
+export const recordRedemption = (code, email) => {
+  if (!email || !code) return;
+  const redemptions = getRedemptions();
+  const codes = new Set(redemptions[email] || []);
+  codes.add(normalizeCode(code));
+  redemptions[email] = [...codes];
+  localStorage.setItem(REDEMPTIONS_KEY, JSON.stringify(redemptions));
+};
+
+// Carry redeemed codes over when a user changes their email
+export const transferRedemptions = (fromEmail, toEmail) => {
+  const redemptions = getRedemptions();
+  if (!redemptions[fromEmail]) return;
+  redemptions[toEmail] = [...new Set([...(redemptions[toEmail] || []), ...redemptions[fromEmail]])];
+  delete redemptions[fromEmail];
+  localStorage.setItem(REDEMPTIONS_KEY, JSON.stringify(redemptions));
+};
+
+const lineMatchesScope = (line, scope) => {
+  if (!scope) return true;
+  const { categories = [], brands = [] } = scope;
+  if (categories.length === 0 && brands.length === 0) return true;
+  return categories.includes(line.category) || brands.includes(line.brand);
+};
+
+const describeScope = (scope) =>
+  [...(scope?.categories || []), ...(scope?.brands || [])].join(', ');
+
+// Check a promotion against the current cart. Returns
+//   { valid: false, error } or
+//   { valid: true, code, description, discount, freeDelivery }
+export const evaluatePromotion = (promo, { lines, subtotal, user, now = Date.now() }) => {
+  if (!promo) {
+    return { valid: false, error: 'This promo code does not exist.' };
+  }
+
+  if (!isWithinWindow(promo.startsAt, promo.expiresAt, now)) {
+    return { valid: false, error: `${promo.code} has expired or is not active yet.` };
+  }
+
+  if (promo.singleUse && !user) {
+    return { valid: false, error: `Please login to use ${promo.code}.` };
+  }
+
+  if (promo.singleUse && hasRedeemed(promo.code, user?.email)) {
+    return { valid: false, error: `You have already used ${promo.code}.` };
+  }
+
+  if (promo.minBasket && subtotal < promo.minBasket) {
+    return {
+      valid: false,
+      error: `${promo.code} needs a minimum order of PKR ${promo.minBasket.toLocaleString()}.`
+    };
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => lineMatchesScope(line, promo.scope))
+    .reduce((total, line) => total + line.price * line.quantity, 0);
+
+  if (eligibleSubtotal <= 0) {
+    return { valid: false, error: `${promo.code} only applies to ${describeScope(promo.scope)}.` };
+  }
+
+  let discount = 0;
+  if (promo.type === 'flat') {
+    discount = Math.min(promo.value, eligibleSubtotal);
+  } else if (promo.type === 'percent') {
+    discount = Math.round(eligibleSubtotal * promo.value / 100);
+    if (promo.maxDiscount) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+  }
+
+  return {
+    valid: true,
+    code: promo.code,
+    description: promo.description,
+    discount,
+    freeDelivery: promo.type === 'free-delivery',
+    singleUse: Boolean(promo.singleUse)
+  };
+};
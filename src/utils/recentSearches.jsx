@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useState } from 'react';
+import { normalizeText } from './searchEngine';
+
+// What each customer searched for lately, newest first, stored per email in
+// localStorage. Searches made while logged out are kept under GUEST_KEY.
+
+const STORAGE_KEY = 'recentSearches';
+const GUEST_KEY = 'guest';
+
+export const RECENT_SEARCH_LIMIT = 8;
+
+// Navbar and Products both show the list, so changes are broadcast
+const listeners = new Set();
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error parsing recent searches:', error);
+    return {};
+  }
+};
+
+const writeSearches = (email, searches) => {
+  const recentSearches = readAll();
+  if (searches.length > 0) recentSearches[email || GUEST_KEY] = searches;
+  else delete recentSearches[email || GUEST_KEY];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recentSearches));
+  listeners.forEach(listener => listener());
+  return searches;
+};
+
+export const getRecentSearches = (email) => readAll()[email || GUEST_KEY] || [];
+
+// Move a query to the top of the list. Returns the updated list.
+export const addRecentSearch = (email, query) => {
+  const trimmed = query.trim();
+  if (!normalizeText(trimmed)) return getRecentSearches(email);
+  const others = getRecentSearches(email).filter(search => normalizeText(search) !== normalizeText(trimmed));
+  return writeSearches(email, [trimmed, ...others].slice(0, RECENT_SEARCH_LIMIT));
+};
+
+export const removeRecentSearch = (email, query) =>
+  writeSearches(email, getRecentSearches(email).filter(search => search !== query));
+
+export const clearRecentSearches = (email) => writeSearches(email, []);
+
+export const transferRecentSearches = (fromEmail, toEmail) => {
+  const moved = getRecentSearches(fromEmail);
+  if (moved.length === 0) return;
+  const existing = getRecentSearches(toEmail);
+  const merged = [...existing, ...moved.filter(search =>
+    !existing.some(other => normalizeText(other) === normalizeText(search))
+  )];
+  writeSearches(fromEmail, []);
+  writeSearches(toEmail, merged.slice(0, RECENT_SEARCH_LIMIT));
+};
+
+// Recent searches for an email (or the guest list), kept in sync across
+// components and tabs.
+// Usage: const { searches, add, remove, clear } = useRecentSearches(user?.email);
+export const useRecentSearches = (email) => {
+  const [searches, setSearches] = useState(() => getRecentSearches(email));
+
+  useEffect(() => {
+    const refresh = () => setSearches(getRecentSearches(email));
+    const handleStorage = (event) => {
+      if (event.key === STORAGE_KEY) refresh();
+    };
+    refresh();
+    listeners.add(refresh);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      listeners.delete(refresh);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [email]);
+
+  const add = useCallback((query) => addRecentSearch(email, query), [email]);
+  const remove = useCallback((query) => removeRecentSearch(email, query), [email]);
+  const clear = useCallback(() => clearRecentSearches(email), [email]);
+
+  return { searches, add, remove, clear };
+};
@@ -0,0 +1,22 @@
+// Where to send a visitor after they log in. The path travels as ?returnTo=
+// on /login and /register, then in the pending verification until Verify succeeds.
+
+export const RETURN_TO_PARAM = 'returnTo';
+
+// Only same-site paths, so a crafted link can't bounce users to another site
+export const getSafeReturnPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//') || path.startsWith('/\\')) {
+    return null;
+  }
+  return path;
+};
+
+export const getReturnPath = (searchParams) => getSafeReturnPath(searchParams.get(RETURN_TO_PARAM));
+
+// e.g. withReturnTo('/login', '/checkout') -> '/login?returnTo=%2Fcheckout'
+export const withReturnTo = (pathname, returnPath) => {
+  const safePath = getSafeReturnPath(returnPath);
+  return safePath && safePath !== '/'
+    ? `${pathname}?${RETURN_TO_PARAM}=${encodeURIComponent(safePath)}`
+    : pathname;
+};
@@ -0,0 +1,281 @@
+import { normalizeText } from './searchEngine';
+
+// What customers search for and what they click. Two kinds of event go to
+// the configured sink:
+//   { type: 'search', id, source, query, resultCount, at }
+//   { type: 'click', searchId, source, query, productId, productName, position, at }
+// `source` is where the search box lives ('navbar', 'products' or 'search')
+// and `position` counts from 1.
+//
+// Every sink has the same shape:
+//   record(event) - store or send one event
+// Pick one with VITE_ANALYTICS_SINK in .env.local:
+//   local - keep events in this browser for trending searches and, in dev,
+//           /dev/search-report (default)
+//   http  - POST each event as JSON to VITE_ANALYTICS_URL
+//   test  - records events in memory
+//   off   - drop everything
+
+const config = {
+  sink: import.meta.env.VITE_ANALYTICS_SINK || 'local',
+  url: import.meta.env.VITE_ANALYTICS_URL || '/api/analytics'
+};
+
+const STORAGE_KEY = 'searchEvents';
+// Keep the local log from growing without bound
+const LOCAL_EVENT_LIMIT = 1000;
+
+// Search boxes update as you type; a query is only logged once it has
+// settled for this long, so "m", "mi", "milk" count as one search for "milk"
+export const SEARCH_SETTLE_MS = 1500;
+
+const readLocalEvents = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('Error parsing search events:', error);
+    return [];
+  }
+};
+
+const localSink = {
+  id: 'local',
+  record: (event) => {
+    const events = [...readLocalEvents(), event].slice(-LOCAL_EVENT_LIMIT);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(events));
+  },
+  // Oldest first
+  list: () => readLocalEvents(),
+  clear: () => localStorage.removeItem(STORAGE_KEY)
+};
+
+const httpSink = {
+  id: 'http',
+  record: (event) => {
+    // keepalive lets the last events of a page still go out on navigation
+    fetch(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(event),
+      keepalive: true
+    }).catch(error => {
+      console.error('Error sending search event:', error);
+    });
+  }
+};
+
+const testSink = {
+  id: 'test',
+  events: [],
+  record: (event) => {
+    testSink.events.push(event);
+  },
+  reset: () => {
+    testSink.events = [];
+  }
+};
+
+const sinks = {
+  local: localSink,
+  http: httpSink,
+  test: testSink,
+  off: { id: 'off', record: () => {} }
+};
+
+export const getAnalyticsSink = () => {
+  const sink = sinks[config.sink];
+  if (!sink) {
+    throw new Error(`Unknown analytics sink: ${config.sink}`);
+  }
+  return sink;
+};
+
+// Switch sinks at runtime, e.g. configureAnalytics({ sink: 'test' })
+export const configureAnalytics = (options = {}) => {
+  Object.assign(config, options);
+};
+
+// The report page only has data when events stay in this browser
+export const isLocalAnalyticsEnabled = () => config.sink === 'local';
+
+export const localSearchEvents = localSink;
+
+const record = (event) => {
+  try {
+    getAnalyticsSink().record(event);
+  } catch (error) {
+    // Analytics must never break searching
+    console.error('Error recording search event:', error);
+  }
+};
+
+let eventCount = 0;
+const nextSearchId = () => `search-${Date.now().toString(36)}-${(eventCount++).toString(36)}`;
+
+// Per source: the search waiting to settle, and the last one logged
+const pending = {};
+const lastSearch = {};
+
+const flush = (source) => {
+  const entry = pending[source];
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  delete pending[source];
+  record(entry.event);
+  lastSearch[source] = entry.event;
+};
+
+export const flushSearchEvents = () => {
+  Object.keys(pending).forEach(flush);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flushSearchEvents);
+}
+
+// Note the latest query and result count for a search box. Refining the
+// query before it settles replaces the pending search rather than adding one.
+export const trackSearch = ({ source, query, resultCount }) => {
+  const normalized = normalizeText(query);
+  if (!normalized) return;
+
+  const current = pending[source];
+  if (current) {
+    const previous = normalizeText(current.event.query);
+    const isRefinement = normalized.startsWith(previous) || previous.startsWith(normalized);
+    if (!isRefinement) flush(source);
+    else clearTimeout(current.timer);
+  }
+
+  const event = pending[source] && normalizeText(pending[source].event.query) === normalized
+    ? { ...pending[source].event, query, resultCount }
+    : { type: 'search', id: nextSearchId(), source, query, resultCount, at: Date.now() };
+
+  pending[source] = { event, timer: setTimeout(() => flush(source), SEARCH_SETTLE_MS) };
+};
+
+// A result was picked from a search box. Logs the search first if it was
+// still settling, so the click always follows its search.
+export const trackSearchClick = ({ source, product, position }) => {
+  flush(source);
+  const search = lastSearch[source];
+  if (!search || !product) return;
+
+  record({
+    type: 'click',
+    searchId: search.id,
+    source,
+    query: search.query,
+    productId: product.id,
+    productName: product.name,
+    position,
+    at: Date.now()
+  });
+};
+
+// How far back trending searches look
+export const TRENDING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The most searched queries of the last week from the local log, for the
+// empty search box. Empty unless events are kept locally.
+export const getTrendingSearches = ({ limit = 5, now = Date.now() } = {}) => {
+  if (!isLocalAnalyticsEnabled()) return [];
+
+  const byQuery = new Map();
+  localSink.list()
+    .filter(event => event.type === 'search' && event.resultCount > 0 && event.at >= now - TRENDING_WINDOW_MS)
+    .forEach(event => {
+      const key = normalizeText(event.query);
+      const entry = byQuery.get(key) || { query: event.query, count: 0, lastAt: 0 };
+      entry.count += 1;
+      if (event.at >= entry.lastAt) {
+        entry.query = event.query;
+        entry.lastAt = event.at;
+      }
+      byQuery.set(key, entry);
+    });
+
+  return [...byQuery.values()]
+    .sort((a, b) => b.count - a.count || b.lastAt - a.lastAt)
+    .slice(0, limit)
+    .map(entry => entry.query);
+};
+
+// Roll events up for the report:
+//   totals            - searches, clicks, zero-result rate and click-through rate
+//   topQueries        - most searched queries with average results and CTR
+//   zeroResultQueries - queries that found nothing, most frequent first
+//   topProducts       - most clicked results with their average position
+// Queries are grouped case- and accent-insensitively.
+export const summarizeSearchEvents = (events, { limit = 20 } = {}) => {
+  const searches = events.filter(event => event.type === 'search');
+  const clicks = events.filter(event => event.type === 'click');
+  const clickedSearchIds = new Set(clicks.map(click => click.searchId));
+
+  const byQuery = new Map();
+  searches.forEach(search => {
+    const key = normalizeText(search.query);
+    const entry = byQuery.get(key) || {
+      query: search.query,
+      searches: 0,
+      zeroResults: 0,
+      totalResults: 0,
+      clickedSearches: 0,
+      lastSearchedAt: 0
+    };
+    entry.searches += 1;
+    entry.totalResults += search.resultCount;
+    if (search.resultCount === 0) entry.zeroResults += 1;
+    if (clickedSearchIds.has(search.id)) entry.clickedSearches += 1;
+    if (search.at >= entry.lastSearchedAt) {
+      entry.query = search.query;
+      entry.lastSearchedAt = search.at;
+    }
+    byQuery.set(key, entry);
+  });
+
+  const queries = [...byQuery.values()].map(entry => ({
+    query: entry.query,
+    searches: entry.searches,
+    zeroResults: entry.zeroResults,
+    averageResults: entry.totalResults / entry.searches,
+    clickThroughRate: entry.clickedSearches / entry.searches,
+    lastSearchedAt: entry.lastSearchedAt
+  }));
+
+  const byProduct = new Map();
+  clicks.forEach(click => {
+    const entry = byProduct.get(click.productId) || {
+      productId: click.productId,
+      productName: click.productName,
+      clicks: 0,
+      totalPosition: 0
+    };
+    entry.clicks += 1;
+    entry.totalPosition += click.position;
+    byProduct.set(click.productId, entry);
+  });
+
+  const zeroResultSearches = searches.filter(search => search.resultCount === 0).length;
+  const clickedSearches = searches.filter(search => clickedSearchIds.has(search.id)).length;
+
+  return {
+    totals: {
+      searches: searches.length,
+      clicks: clicks.length,
+      zeroResultRate: searches.length ? zeroResultSearches / searches.length : 0,
+      clickThroughRate: searches.length ? clickedSearches / searches.length : 0
+    },
+    topQueries: [...queries]
+      .sort((a, b) => b.searches - a.searches || b.lastSearchedAt - a.lastSearchedAt)
+      .slice(0, limit),
+    zeroResultQueries: queries
+      .filter(query => query.zeroResults > 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults || b.lastSearchedAt - a.lastSearchedAt)
+      .slice(0, limit),
+    topProducts: [...byProduct.values()]
+      .map(({ totalPosition, ...entry }) => ({ ...entry, averagePosition: totalPosition / entry.clicks }))
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, limit)
+  };
+};
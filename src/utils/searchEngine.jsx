@@ -0,0 +1,244 @@
+import synonyms from '../data/synonyms.json';
+
+// Product search: queries and product fields are split into tokens, every
+// query token has to match a token of the product, and results are ranked by
+// how well and where they matched.
+//
+// A query token matches a product token when it is
+//   - the same word                           ("milk" -> "Milk")
+//   - the start of it                         ("spag" -> "Spaghetti")
+//   - a few typos away                        ("olpers" -> "Olper")
+//   - a synonym from src/data/synonyms.json   ("doodh" -> "milk")
+// Synonyms map a catalog term to the Roman Urdu, Urdu and English words
+// people type for it: { "milk": ["doodh", "dudh", "دودھ"] }.
+
+export const SEARCH_FIELDS = ['name', 'brand', 'category'];
+
+// Matches in the name count for more than matches in the category
+const FIELD_WEIGHTS = {
+  name: 3,
+  brand: 2,
+  category: 1,
+  description: 0.5
+};
+
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5
+};
+
+// Synonym matches rank just below typing the catalog term itself
+const SYNONYM_FACTOR = 0.9;
+
+// Lowercase, drop accents ("Nestlé" -> "nestle") and turn punctuation into spaces
+export const normalizeText = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+export const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Short words have to be typed exactly, longer ones allow one or two typos
+const maxTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+// Edit distance counting insertions, deletions, substitutions and swapped
+// neighbours. Gives up and returns max + 1 once the distance exceeds `max`.
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let twoBack = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (twoBack && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, twoBack[j - 2] + 1);
+      }
+      current[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    twoBack = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How well `term` matches one product token, from 0 (not at all) to 1
+const matchToken = (term, token, allowTypos) => {
+  if (token === term) return MATCH_SCORES.exact;
+  if (token.startsWith(term)) return MATCH_SCORES.prefix;
+  if (!allowTypos) return 0;
+
+  const max = maxTypos(term);
+  if (max === 0) return 0;
+  const distance = editDistance(term, token, max);
+  return distance <= max ? MATCH_SCORES.typo / distance : 0;
+};
+
+// alias -> catalog terms, e.g. "masalay" -> ["masala", "spices"]
+const buildSynonymLookup = (dictionary) => {
+  const lookup = new Map();
+  Object.entries(dictionary).forEach(([term, aliases]) => {
+    aliases.forEach(alias => {
+      const key = normalizeText(alias);
+      lookup.set(key, [...(lookup.get(key) || []), term]);
+    });
+  });
+  return lookup;
+};
+
+const synonymLookup = buildSynonymLookup(synonyms);
+
+// Catalog terms a query token stands for, allowing typos in the alias too
+const synonymTermsFor = (term) => {
+  const exact = synonymLookup.get(term);
+  if (exact) return exact;
+
+  const max = maxTypos(term);
+  if (max === 0) return [];
+  for (const [alias, terms] of synonymLookup) {
+    if (editDistance(term, alias, max) <= max) return terms;
+  }
+  return [];
+};
+
+// Expand a query into the alternatives each of its tokens may match
+const parseQuery = (query) => tokenize(query).map(term => ({
+  term,
+  synonyms: [...new Set(synonymTermsFor(term).flatMap(tokenize))].filter(token => token !== term)
+}));
+
+// Tokenize the searchable fields of every product once, up front. The
+// vocabulary (every word in the catalog) feeds "did you mean" suggestions.
+export const createSearchIndex = (products, fields = SEARCH_FIELDS) => {
+  const entries = products.map(product => ({
+    product,
+    name: normalizeText(product.name),
+    tokens: Object.fromEntries(fields.map(field => [field, tokenize(product[field])]))
+  }));
+  const vocabulary = new Set();
+  entries.forEach(entry => fields.forEach(field => entry.tokens[field].forEach(token => vocabulary.add(token))));
+  return { fields, entries, vocabulary: [...vocabulary] };
+};
+
+// Score every word in the index against one query token up front, so ranking
+// a product only needs lookups: word -> best unweighted score
+const scoreVocabulary = (index, { term, synonyms: alternatives }) => {
+  const scores = new Map();
+  index.vocabulary.forEach(word => {
+    let best = matchToken(term, word, true);
+    alternatives.forEach(alternative => {
+      best = Math.max(best, matchToken(alternative, word, false) * SYNONYM_FACTOR);
+    });
+    if (best > 0) scores.set(word, best);
+  });
+  return scores;
+};
+
+// Best weighted score for one query token across the given fields
+const scoreTerm = (scores, entry, fields) => {
+  let best = 0;
+  fields.forEach(field => {
+    const weight = FIELD_WEIGHTS[field] || 1;
+    (entry.tokens[field] || []).forEach(token => {
+      best = Math.max(best, (scores.get(token) || 0) * weight);
+    });
+  });
+  return best;
+};
+
+// Products matching every token of the query, best match first. Pass `fields`
+// to search only some of the indexed fields.
+export const searchIndex = (index, query, { fields = index.fields, limit } = {}) => {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const termScores = terms.map(term => scoreVocabulary(index, term));
+  if (termScores.some(scores => scores.size === 0)) return [];
+
+  const normalizedQuery = terms.map(({ term }) => term).join(' ');
+  const results = [];
+
+  index.entries.forEach((entry, position) => {
+    let score = 0;
+    for (const scores of termScores) {
+      const termScore = scoreTerm(scores, entry, fields);
+      if (termScore === 0) return;
+      score += termScore;
+    }
+    // Typing the start of the product name is the strongest signal
+    if (entry.name.startsWith(normalizedQuery)) score += 1;
+    results.push({ product: entry.product, score, position });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.position - b.position);
+  const products = results.map(result => result.product);
+  return limit ? products.slice(0, limit) : products;
+};
+
+// Where the words of `text` match the query, as [{ start, end }] offsets into
+// `text`, so callers can highlight them
+export const findMatches = (text, query) => {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const ranges = [];
+  for (const word of String(text ?? '').matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+    const token = normalizeText(word[0]);
+    const matches = terms.some(({ term, synonyms: alternatives }) =>
+      matchToken(term, token, true) > 0 ||
+      alternatives.some(alternative => matchToken(alternative, token, false) > 0)
+    );
+    if (matches) ranges.push({ start: word.index, end: word.index + word[0].length });
+  }
+  return ranges;
+};
+
+// Suggestions are looser than search itself, which already forgives small typos
+const maxSuggestionTypos = (term) => Math.min(3, Math.max(1, Math.floor(term.length / 3)));
+
+// "Did you mean" queries for a search with no results: each unknown word is
+// swapped for the closest words in the index. Only queries that find
+// something are returned, closest first.
+export const suggestQueries = (index, query, { limit = 3 } = {}) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const candidates = terms.map(term => {
+    if (synonymLookup.has(term) || index.vocabulary.includes(term)) return [term];
+    const max = maxSuggestionTypos(term);
+    return index.vocabulary
+      .map(word => ({ word, distance: editDistance(term, word, max) }))
+      .filter(({ distance }) => distance <= max)
+      .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+      .map(({ word }) => word);
+  });
+  if (candidates.some(words => words.length === 0)) return [];
+
+  const original = terms.join(' ');
+  const suggestions = [];
+  const depth = Math.max(...candidates.map(words => words.length));
+  for (let i = 0; i < depth && suggestions.length < limit; i++) {
+    const suggestion = candidates.map(words => words[Math.min(i, words.length - 1)]).join(' ');
+    if (suggestion !== original && !suggestions.includes(suggestion) && searchIndex(index, suggestion, { limit: 1 }).length > 0) {
+      suggestions.push(suggestion);
+    }
+  }
+  return suggestions;
+};
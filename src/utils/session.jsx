@@ -0,0 +1,95 @@
+// Login session timing, kept in localStorage next to `user` so every tab shares it:
+//   { startedAt, expiresAt, lastActiveAt }
+// A session ends at `expiresAt` (lifetime) or after the idle timeout without
+// activity in any tab, whichever comes first.
+//
+// Configure in .env.local (minutes, 0 turns a limit off):
+//   VITE_SESSION_LIFETIME_MINUTES  - default 7 days
+//   VITE_SESSION_IDLE_MINUTES      - default 60
+//   VITE_SESSION_WARNING_MINUTES   - how long before expiry to warn, default 2
+
+const STORAGE_KEY = 'session';
+const MINUTE = 60 * 1000;
+
+const readMinutes = (value, fallback) => {
+  const minutes = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+};
+
+const toMs = (minutes) => (minutes > 0 ? minutes * MINUTE : Infinity);
+
+const config = {
+  lifetimeMs: toMs(readMinutes(import.meta.env.VITE_SESSION_LIFETIME_MINUTES, 7 * 24 * 60)),
+  idleMs: toMs(readMinutes(import.meta.env.VITE_SESSION_IDLE_MINUTES, 60)),
+  warningMs: readMinutes(import.meta.env.VITE_SESSION_WARNING_MINUTES, 2) * MINUTE
+};
+
+// How often tabs re-check the session, and at most how often activity is saved
+export const SESSION_CHECK_INTERVAL_MS = 15 * 1000;
+export const ACTIVITY_SAVE_INTERVAL_MS = 30 * 1000;
+
+export const SESSION_STORAGE_KEY = STORAGE_KEY;
+
+export const getSessionConfig = () => ({ ...config });
+
+export const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.error('Error parsing session data:', error);
+    return null;
+  }
+};
+
+const writeSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+// null when there is no lifetime limit (JSON can't store Infinity)
+const lifetimeEnd = (now) => (Number.isFinite(config.lifetimeMs) ? now + config.lifetimeMs : null);
+
+export const startSession = (now = Date.now()) => writeSession({
+  startedAt: now,
+  expiresAt: lifetimeEnd(now),
+  lastActiveAt: now
+});
+
+// Record activity so the idle timeout starts over
+export const touchSession = (now = Date.now()) => {
+  const session = readSession();
+  return session ? writeSession({ ...session, lastActiveAt: now }) : null;
+};
+
+// "Stay signed in": a full new lifetime and idle window from now
+export const extendSession = (now = Date.now()) => {
+  const session = readSession();
+  return session
+    ? writeSession({ ...session, expiresAt: lifetimeEnd(now), lastActiveAt: now })
+    : startSession(now);
+};
+
+export const endSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+// Returns { state, reason, expiresAt } where state is 'active', 'expiring'
+// (inside the warning window) or 'expired', and reason is 'lifetime' or 'idle'
+export const getSessionStatus = (session, now = Date.now()) => {
+  if (!session) {
+    return { state: 'expired', reason: 'lifetime', expiresAt: now };
+  }
+
+  const lifetimeExpiresAt = session.expiresAt ?? Infinity;
+  const idleExpiresAt = session.lastActiveAt + config.idleMs;
+  const reason = lifetimeExpiresAt <= idleExpiresAt ? 'lifetime' : 'idle';
+  const expiresAt = Math.min(lifetimeExpiresAt, idleExpiresAt);
+
+  if (now >= expiresAt) {
+    return { state: 'expired', reason, expiresAt };
+  }
+  if (expiresAt - now <= config.warningMs) {
+    return { state: 'expiring', reason, expiresAt };
+  }
+  return { state: 'active', reason, expiresAt };
+};
@@ -0,0 +1,64 @@
+import { createOutboxTransport, createTestTransport, nextMessageId } from './outbox';
+
+// How outgoing text messages leave the app. Transports have the same shape as
+// the email ones (see emailTransport.jsx), with messages like
+//   { to, text, type, meta }  where `to` is a +92 mobile number.
+//
+// Pick one with VITE_SMS_TRANSPORT in .env.local:
+//   outbox - keep messages in this tab and list them on /dev/outbox
+//   http   - POST each message as JSON to VITE_SMS_URL
+//   test   - deterministic double that records messages and never waits
+// Without VITE_SMS_TRANSPORT, texts go over http when VITE_SMS_URL is set and
+// to the outbox otherwise, as with email.
+
+const smsUrl = import.meta.env.VITE_SMS_URL || '';
+
+const config = {
+  transport: import.meta.env.VITE_SMS_TRANSPORT || (smsUrl ? 'http' : 'outbox'),
+  url: smsUrl
+};
+
+if (config.transport === 'http' && !config.url) {
+  throw new Error('VITE_SMS_TRANSPORT=http needs VITE_SMS_URL to be set');
+}
+
+const httpTransport = {
+  id: 'http',
+  send: async (message, { url }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to send SMS (${response.status})`);
+    }
+    const result = await response.json().catch(() => ({}));
+    return { id: result.id || nextMessageId(), sentAt: result.sentAt || Date.now() };
+  }
+};
+
+const transports = {
+  outbox: createOutboxTransport('devSmsOutbox'),
+  http: httpTransport,
+  test: createTestTransport()
+};
+
+export const getSmsTransport = () => {
+  const transport = transports[config.transport];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${config.transport}`);
+  }
+  return transport;
+};
+
+// Switch transports at runtime, e.g. configureSmsTransport({ transport: 'test' })
+export const configureSmsTransport = (options = {}) => {
+  Object.assign(config, options);
+};
+
+export const sendSms = async (message) => getSmsTransport().send(message, config);
+
+export const isSmsOutboxEnabled = () => config.transport === 'outbox';
+
+export const devSmsOutbox = transports.outbox;
@@ -0,0 +1,39 @@
+import { getPricing } from './pricing';
+import { getDefaultVariant } from './variants';
+
+// Price per litre or per kg, so packs of different sizes can be compared.
+// SKUs describe their contents with `amount` and `unit` (ml, l, g or kg);
+// `pack` multiplies that for multipacks. SKUs without them, or sold by the
+// piece, have no unit price.
+
+const UNITS = {
+  ml: { base: 'litre', factor: 0.001 },
+  l: { base: 'litre', factor: 1 },
+  g: { base: 'kg', factor: 0.001 },
+  kg: { base: 'kg', factor: 1 }
+};
+
+// Total contents of a SKU in its base unit, e.g. 12 x 250ml -> { quantity: 3, base: 'litre' }
+export const getNetQuantity = (variant) => {
+  const unit = UNITS[String(variant?.unit || '').toLowerCase()];
+  if (!unit || !(variant.amount > 0)) return null;
+  return { quantity: variant.amount * unit.factor * (variant.pack || 1), base: unit.base };
+};
+
+// { value, base } where value is PKR per base unit, or null. Uses the price
+// the customer pays, including active sales.
+export const getUnitPrice = (product, variant = null, now = Date.now()) => {
+  const sku = variant || getDefaultVariant(product);
+  const net = getNetQuantity(sku);
+  if (!net) return null;
+  return { value: getPricing(product, sku, now).price / net.quantity, base: net.base };
+};
+
+// "PKR 280 / litre"
+export const formatUnitPrice = (unitPrice) => {
+  if (!unitPrice) return '';
+  const value = unitPrice.value.toLocaleString('en-PK', {
+    maximumFractionDigits: unitPrice.value < 100 ? 2 : 0
+  });
+  return `PKR ${value} / ${unitPrice.base}`;
+};
@@ -0,0 +1,82 @@
+import { normalizePhone } from './phone';
+
+// Registered accounts. Every adapter has the same async API so the
+// localStorage one can later be swapped for a local API:
+//   find(email)                 - the account or null
+//   findByPhone(phone)          - the account with this mobile number or null
+//   create(account)             - add a new account, rejects if the email is taken
+//   update(email, changes)      - merge changes into an account, returns it
+//   rename(fromEmail, toEmail)  - move an account to a new email
+//
+// An account looks like { email, name, phone, createdAt, lastLoginAt }.
+// Emails are matched case-insensitively and phones in +92 form.
+
+const STORAGE_KEY = 'users';
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error parsing user directory:', error);
+    return {};
+  }
+};
+
+const writeAll = (usersByEmail) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(usersByEmail));
+};
+
+export const localStorageUserAdapter = {
+  find: async (email) => readAll()[normalizeEmail(email)] || null,
+  findByPhone: async (phone) => {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return null;
+    return Object.values(readAll()).find(account => normalizePhone(account.phone) === normalized) || null;
+  },
+  create: async (account) => {
+    const users = readAll();
+    const key = normalizeEmail(account.email);
+    if (users[key]) {
+      throw new Error('An account with this email already exists.');
+    }
+    users[key] = account;
+    writeAll(users);
+    return account;
+  },
+  update: async (email, changes) => {
+    const users = readAll();
+    const key = normalizeEmail(email);
+    if (!users[key]) {
+      throw new Error('No account found with this email.');
+    }
+    users[key] = { ...users[key], ...changes };
+    writeAll(users);
+    return users[key];
+  },
+  rename: async (fromEmail, toEmail) => {
+    const users = readAll();
+    const fromKey = normalizeEmail(fromEmail);
+    const toKey = normalizeEmail(toEmail);
+    if (!users[fromKey]) {
+      throw new Error('No account found with this email.');
+    }
+    if (fromKey !== toKey && users[toKey]) {
+      throw new Error('An account with this email already exists.');
+    }
+    const account = { ...users[fromKey], email: toEmail };
+    delete users[fromKey];
+    users[toKey] = account;
+    writeAll(users);
+    return account;
+  }
+};
+
+let adapter = localStorageUserAdapter;
+
+export const getUserRepository = () => adapter;
+
+export const setUserRepository = (nextAdapter) => {
+  adapter = nextAdapter;
+};
@@ -0,0 +1,41 @@
+// Products either list their SKUs under `variants` or are a single SKU
+// described by their own price and image. These helpers hide the difference.
+
+export const getVariants = (product) => {
+  if (!product) return [];
+  if (Array.isArray(product.variants) && product.variants.length > 0) {
+    return product.variants;
+  }
+  return [{
+    id: product.id,
+    size: null,
+    amount: product.amount,
+    unit: product.unit,
+    pack: 1,
+    price: product.price,
+    image: product.image,
+    stock: product.stock
+  }];
+};
+
+export const getVariant = (product, variantId) => {
+  const variants = getVariants(product);
+  return variants.find(v => v.id === variantId) || null;
+};
+
+export const getDefaultVariant = (product) => {
+  const variants = getVariants(product);
+  return variants.find(v => v.id === product.defaultVariantId) || variants[0] || null;
+};
+
+export const hasVariants = (product) => getVariants(product).length > 1;
+
+// Human-readable label, e.g. "1L" or "12 x 1L"
+export const getVariantLabel = (variant) => {
+  if (!variant || !variant.size) return '';
+  return variant.pack > 1 ? `${variant.pack} x ${variant.size}` : variant.size;
+};
+
+// Cart lines are keyed by product plus variant so different sizes stay separate
+export const getLineId = (productId, variantId) =>
+  variantId && variantId !== productId ? `${productId}:${variantId}` : String(productId);
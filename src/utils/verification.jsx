@@ -0,0 +1,79 @@
+// One-time verification codes. The code itself only ever goes out in a
+// message, by email or, for phone logins, by SMS; what we keep (in
+// sessionStorage, via AuthContext) is a challenge:
+//   { salt, hash, expiresAt, attempts }
+// where hash = SHA-256(salt + ':' + code), so reading storage doesn't reveal it.
+
+export const CODE_LENGTH = 6;
+export const CODE_TTL_MS = 10 * 60 * 1000;
+export const MAX_ATTEMPTS = 5;
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Uniform 6-digit code from crypto.getRandomValues. Values above the largest
+// multiple of 10^6 are redrawn so every code is equally likely.
+export const generateCode = () => {
+  const range = 10 ** CODE_LENGTH;
+  const limit = Math.floor(0x100000000 / range) * range;
+  const buffer = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+  return (buffer[0] % range).toString().padStart(CODE_LENGTH, '0');
+};
+
+const generateSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+export const hashCode = async (code, salt) => {
+  const data = new TextEncoder().encode(`${salt}:${code}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return toHex(new Uint8Array(digest));
+};
+
+// Compare without returning early, so timing doesn't hint at how much matched
+const constantTimeEqual = (a, b) => {
+  let mismatch = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    mismatch |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return mismatch === 0;
+};
+
+export const isChallengeExpired = (challenge, now = Date.now()) =>
+  !challenge || now > challenge.expiresAt;
+
+// New code plus the challenge to store for it. Send `code`, keep `challenge`.
+export const issueChallenge = async (now = Date.now()) => {
+  const code = generateCode();
+  const salt = generateSalt();
+  return {
+    code,
+    challenge: {
+      salt,
+      hash: await hashCode(code, salt),
+      expiresAt: now + CODE_TTL_MS,
+      attempts: 0
+    }
+  };
+};
+
+// Check a submitted code. Resolves with { status, challenge } where status is
+// 'valid', 'invalid', 'expired' or 'locked' (too many attempts), and challenge
+// is the updated one to store (attempts counted) or null once it's used up.
+export const checkCode = async (challenge, code, now = Date.now()) => {
+  if (isChallengeExpired(challenge, now)) {
+    return { status: 'expired', challenge: null };
+  }
+
+  const attempts = (challenge.attempts || 0) + 1;
+  if (attempts > MAX_ATTEMPTS) {
+    return { status: 'locked', challenge: null };
+  }
+
+  const hash = await hashCode(String(code).trim(), challenge.salt);
+  if (constantTimeEqual(hash, challenge.hash)) {
+    return { status: 'valid', challenge: null };
+  }
+
+  return { status: 'invalid', challenge: { ...challenge, attempts } };
+};
@@ -0,0 +1,26 @@
+import { createProductIndex, queryProducts } from '../utils/productQuery';
+
+// Builds the product index and answers queries off the main thread.
+// Messages in:
+//   { type: 'load', products }
+//   { type: 'query', id, params }   - params as for queryProducts
+// Messages out, one per query:
+//   { id, productIds, matchCount, facetCounts }
+
+let index = createProductIndex([]);
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    index = createProductIndex(data.products);
+    return;
+  }
+  if (data.type === 'query') {
+    const { products, matchCount, facetCounts } = queryProducts(index, data.params);
+    self.postMessage({
+      id: data.id,
+      productIds: products.map(product => product.id),
+      matchCount,
+      facetCounts
+    });
+  }
+};
@@ -1,6 +1,39 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { isValidCategoryLink } from './src/utils/categoryTree.jsx';
+
+// Files whose hard-coded category links have to match src/data/categories.json
+const CATEGORY_LINK_FILES = ['src/components/Footer.jsx', 'src/pages/Home.jsx'];
+
+// Quoted paths like '/category/dairy' or "/products?category=Dairy"
+const CATEGORY_LINK_PATTERN = /["'`](\/(?:category\/|products\?[^"'`]*category=)[^"'`]*)["'`]/g;
+
+// Fail the build when one of those links leads to a category that doesn't exist
+const checkCategoryLinks = () => {
+  let root = process.cwd();
+  return {
+    name: 'check-category-links',
+    apply: 'build',
+    configResolved(config) {
+      root = config.root;
+    },
+    buildStart() {
+      const broken = CATEGORY_LINK_FILES.flatMap(file =>
+        [...readFileSync(resolve(root, file), 'utf8').matchAll(CATEGORY_LINK_PATTERN)]
+          .map(match => match[1])
+          // Links built at runtime can't be checked here
+          .filter(href => !href.includes('${') && !isValidCategoryLink(href))
+          .map(href => `${file}: ${href}`)
+      );
+      if (broken.length > 0) {
+        this.error(`Category links that match no category:\n  ${broken.join('\n  ')}`);
+      }
+    }
+  };
+};
 
 export default defineConfig({
-  plugins: [react()],
-});
\ No newline at end of file
+  plugins: [react(), checkCategoryLinks()],
+});